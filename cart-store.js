@@ -0,0 +1,311 @@
+/**
+ * Cart Store
+ * The one place that reads and writes the cart. Pages change it through
+ * cartStore (add, remove, setQuantity, clear) and react through
+ * cartStore.subscribe, which also fires when another tab changes the cart.
+ * Keeps the navbar #cartCount badge in step on every page. Lines are
+ * snapshots of the product; cartStore.reconcile refreshes them from data.json.
+ * Quantities are capped by stock (stock.js) as well as MAX_CART_QUANTITY.
+ */
+
+// ==================== CONFIGURATION ====================
+const CART_STORAGE_KEY = 'cart';
+const CART_STORAGE_VERSION = 2;
+
+// Unreadable carts are set aside here rather than silently lost
+const CART_BACKUP_KEY = 'cart.corrupt';
+
+// Quantity limits per cart line; stock can lower the maximum
+const MIN_CART_QUANTITY = 1;
+const MAX_CART_QUANTITY = 10;
+
+// ==================== STORAGE ====================
+/**
+ * Stored as { version, items }. Version 1 was a bare array, sometimes with
+ * one entry per unit and no quantity; it is upgraded on first read.
+ */
+function getCartItems() {
+    const raw = localStorage.getItem(CART_STORAGE_KEY);
+    if (!raw) return [];
+    
+    let data;
+    try {
+        data = JSON.parse(raw);
+    } catch (error) {
+        return recoverCart(raw, error);
+    }
+    
+    if (Array.isArray(data)) {
+        const items = normalizeCartItems(data);
+        writeCart(items);
+        return items;
+    }
+    
+    if (!data || data.version !== CART_STORAGE_VERSION || !Array.isArray(data.items)) {
+        return recoverCart(raw, new Error(`Unsupported cart format (version ${data && data.version})`));
+    }
+    
+    return normalizeCartItems(data.items);
+}
+
+function writeCart(items) {
+    localStorage.setItem(CART_STORAGE_KEY, JSON.stringify({ version: CART_STORAGE_VERSION, items }));
+}
+
+function saveCartItems(items) {
+    writeCart(items);
+    notifyCartChange(items, 'local');
+}
+
+// Keeps the unreadable value for debugging and starts over with an empty cart
+function recoverCart(raw, error) {
+    console.error('Cart data was unreadable and has been reset:', error);
+    
+    try {
+        localStorage.setItem(CART_BACKUP_KEY, raw);
+    } catch (backupError) {
+        // Storage full; the reset below still frees the cart key
+    }
+    
+    writeCart([]);
+    return [];
+}
+
+// Drops entries without an id, merges duplicate ids and gives every line a valid quantity
+function normalizeCartItems(items) {
+    const lines = [];
+    
+    items.forEach(item => {
+        if (!item || typeof item !== 'object' || item.id === undefined) return;
+        
+        const quantity = clampCartQuantity(item.quantity === undefined ? 1 : item.quantity);
+        const existing = lines.find(line => line.id === item.id);
+        
+        if (existing) {
+            existing.quantity = clampCartQuantity(existing.quantity + quantity);
+        } else {
+            lines.push({ ...item, quantity });
+        }
+    });
+    
+    return lines;
+}
+
+function clampCartQuantity(value) {
+    const quantity = parseInt(value);
+    if (isNaN(quantity)) return MIN_CART_QUANTITY;
+    return Math.min(MAX_CART_QUANTITY, Math.max(MIN_CART_QUANTITY, quantity));
+}
+
+// ==================== CART OPERATIONS ====================
+function getCartCount() {
+    return getCartItems().reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// The fields checkout, shipping, tax and the mount check need from a catalog product
+function createCartLine(product, quantity) {
+    return {
+        id: product.id,
+        name: product.name,
+        brand: product.brand,
+        summary: product.summary,
+        price: product.price,
+        displayPrice: product.displayPrice || `$${product.price}`,
+        images: product.images,
+        shipping: product.shipping,
+        specs: product.specs,
+        category: product.category,
+        stock: product.stock,
+        quantity
+    };
+}
+
+// Most units a line may hold: the stock on hand, up to MAX_CART_QUANTITY
+function getCartLineLimit(product) {
+    return Math.min(MAX_CART_QUANTITY, getStockLimit(product));
+}
+
+// Explains why a quantity was refused or lowered
+function describeCartLimit(product, limit = getCartLineLimit(product)) {
+    if (limit === 0) return `${product.name} is no longer available`;
+    if (limit < MAX_CART_QUANTITY) return `Only ${limit} of ${product.name} in stock`;
+    return `You can order at most ${MAX_CART_QUANTITY} of ${product.name}`;
+}
+
+/**
+ * Adds `quantity` units of a catalog product, merging with an existing line.
+ * Returns { added, quantity, existing, limit }; `added` is false (and
+ * nothing changes) when the product is discontinued or the line would go
+ * over its limit - describeCartLimit(product, limit) explains which.
+ */
+function addCartItem(product, quantity = 1) {
+    const items = getCartItems();
+    const line = items.find(item => item.id === product.id);
+    const newQuantity = (line ? line.quantity : 0) + quantity;
+    const limit = getCartLineLimit(product);
+    
+    if (newQuantity > limit) {
+        return { added: false, quantity: line ? line.quantity : 0, existing: !!line, limit };
+    }
+    
+    if (line) {
+        line.quantity = newQuantity;
+    } else {
+        items.push(createCartLine(product, newQuantity));
+    }
+    
+    saveCartItems(items);
+    return { added: true, quantity: newQuantity, existing: !!line, limit };
+}
+
+function removeCartItem(productId) {
+    const items = getCartItems();
+    const remaining = items.filter(item => item.id !== productId);
+    if (remaining.length !== items.length) saveCartItems(remaining);
+}
+
+// Clamps to the line's allowed range and returns the quantity actually stored
+function setCartItemQuantity(productId, quantity) {
+    const items = getCartItems();
+    const line = items.find(item => item.id === productId);
+    if (!line) return 0;
+    
+    const clamped = Math.min(clampCartQuantity(quantity), Math.max(MIN_CART_QUANTITY, getCartLineLimit(line)));
+    if (clamped !== line.quantity) {
+        line.quantity = clamped;
+        saveCartItems(items);
+    }
+    return clamped;
+}
+
+function clearCartItems() {
+    saveCartItems([]);
+}
+
+// Lines flagged by reconcileCart; they stay in the cart but can't be checked out
+function getUnavailableCartItems() {
+    return getCartItems().filter(item => item.discontinued);
+}
+
+// ==================== CATALOG RECONCILIATION ====================
+/**
+ * Lines are snapshots taken when the product was added. This refreshes
+ * them from the current catalog: prices, details and stock are updated,
+ * quantities above the stock on hand are lowered, products missing from it
+ * or marked discontinued are flagged `discontinued`, and flagged products
+ * that come back are cleared. Returns the changes worth telling the shopper
+ * about: { type: 'price' | 'quantity' | 'discontinued' | 'restored', id, name, from?, to? }.
+ * Does nothing without a catalog, so a failed data.json load can't flag
+ * the whole cart.
+ */
+function reconcileCart(catalog) {
+    if (!Array.isArray(catalog) || catalog.length === 0) return [];
+    
+    const items = getCartItems();
+    const changes = [];
+    
+    const reconciled = items.map(line => {
+        const product = catalog.find(p => p.id === line.id);
+        
+        if (!product || !getStockStatus(product).orderable) {
+            if (!line.discontinued) changes.push({ type: 'discontinued', id: line.id, name: line.name });
+            return { ...(product ? createCartLine(product, line.quantity) : line), discontinued: true };
+        }
+        
+        if (line.discontinued) {
+            changes.push({ type: 'restored', id: line.id, name: product.name });
+        } else if (getLinePrice(line) !== product.price) {
+            changes.push({ type: 'price', id: line.id, name: product.name, from: getLinePrice(line), to: product.price });
+        }
+        
+        const quantity = Math.min(line.quantity, getCartLineLimit(product));
+        if (quantity < line.quantity) {
+            changes.push({ type: 'quantity', id: line.id, name: product.name, from: line.quantity, to: quantity });
+        }
+        return createCartLine(product, quantity);
+    });
+    
+    if (JSON.stringify(reconciled) !== JSON.stringify(items)) saveCartItems(reconciled);
+    return changes;
+}
+
+// Very old carts stored prices as "$899"
+function getLinePrice(line) {
+    return typeof line.price === 'number' ? line.price :
+           parseFloat(String(line.price || '0').replace(/[^0-9.]/g, '')) || 0;
+}
+
+// "Sigma 35mm price dropped from $899 to $799", in the shopper's currency
+function describeCartChange(change) {
+    switch (change.type) {
+        case 'price':
+            return `${change.name} price ${change.to < change.from ? 'dropped' : 'went up'} from ` +
+                `${formatPrice(change.from)} to ${formatPrice(change.to)}`;
+        case 'quantity':
+            return `Only ${change.to} of ${change.name} in stock, so your quantity went from ${change.from} to ${change.to}`;
+        case 'discontinued':
+            return `${change.name} is no longer available`;
+        case 'restored':
+            return `${change.name} is available again`;
+        default:
+            return change.name;
+    }
+}
+
+// ==================== CHANGE EVENTS ====================
+// source is 'local' for changes made in this tab, 'storage' for other tabs
+function notifyCartChange(items, source) {
+    window.dispatchEvent(new CustomEvent('cartchange', { detail: { items, source } }));
+}
+
+/**
+ * Calls listener(items, source) after every cart change, in this tab or
+ * another. Returns a function that stops listening.
+ */
+function subscribeToCart(listener) {
+    const handler = e => listener(e.detail.items, e.detail.source);
+    window.addEventListener('cartchange', handler);
+    return () => window.removeEventListener('cartchange', handler);
+}
+
+// e.key is null when another tab clears all of localStorage
+window.addEventListener('storage', e => {
+    if (e.key === CART_STORAGE_KEY || e.key === null) {
+        notifyCartChange(getCartItems(), 'storage');
+    }
+});
+
+// ==================== BADGE ====================
+function updateCartCount() {
+    const count = getCartCount();
+    
+    document.querySelectorAll('#cartCount, .cart-count').forEach(badge => {
+        badge.textContent = count;
+        badge.classList.toggle('d-none', count === 0);
+    });
+    
+    return count;
+}
+
+window.addEventListener('cartchange', updateCartCount);
+
+// ==================== GLOBAL FUNCTIONS ====================
+const cartStore = {
+    getItems: getCartItems,
+    getCount: getCartCount,
+    add: addCartItem,
+    remove: removeCartItem,
+    setQuantity: setCartItemQuantity,
+    clear: clearCartItems,
+    subscribe: subscribeToCart,
+    getUnavailable: getUnavailableCartItems,
+    getLimit: getCartLineLimit,
+    reconcile: reconcileCart
+};
+
+window.cartStore = cartStore;
+window.updateCartCount = updateCartCount;
+window.describeCartChange = describeCartChange;
+window.describeCartLimit = describeCartLimit;
+window.MIN_CART_QUANTITY = MIN_CART_QUANTITY;
+window.MAX_CART_QUANTITY = MAX_CART_QUANTITY;
@@ -6,31 +6,48 @@
 let cart = [];
 let subtotal = 0;
 let shipping = 0;
+let discount = 0;
+let tax = null;
 let total = 0;
+let appliedPromo = null;
+let destination = null;
+let shippingQuote = null;
+let catalog = [];
 
 // DOM Elements Cache
 const elements = {
     cartItems: null,
     subTotalEl: null,
     shippingEl: null,
+    shippingLabel: null,
+    shippingNote: null,
+    shipCountry: null,
+    shipRegion: null,
+    taxRow: null,
+    taxLabel: null,
+    taxEl: null,
+    shipPostcode: null,
+    shipMethod: null,
+    discountRow: null,
+    discountEl: null,
+    discountCodeEl: null,
     totalEl: null,
+    promoInput: null,
+    promoButton: null,
+    promoMessage: null,
     checkoutBtn: null,
-    emptyCartMsg: null
-};
-
-// Shipping Rates Configuration
-const SHIPPING_RATES = {
-    BASE: 0,
-    ONE_ITEM: 170,
-    TWO_ITEMS: 220,
-    THREE_TO_FIVE: 270,
-    SIX_PLUS: 350
+    emptyCartMsg: null,
+    cartNotice: null,
+    savedForLater: null,
+    savedItems: null,
+    savedItemCount: null
 };
 
 // ==================== INITIALIZATION ====================
 document.addEventListener('DOMContentLoaded', async function() {
     try {
-        // Load navbar and footer
+        // Load exchange rates, then navbar and footer
+        await loadExchangeRates();
         await Promise.all([loadNavbar(), loadFooter()]);
         
         // Initialize cart
@@ -54,6 +71,9 @@ async function loadNavbar() {
         const html = await response.text();
         document.getElementById('navbar').innerHTML = html;
         updateCartCount();
+        setupCurrencySelector();
+        setupSearchSuggestions();
+        setupWishlist();
     } catch (error) {
         console.error('Error loading navbar:', error);
     }
@@ -78,6 +98,20 @@ async function initializeCart() {
     // Load cart from localStorage
     loadCartFromStorage();
     
+    // Restore the shipping destination used for estimates
+    destination = getStoredDestination();
+    renderCountryOptions(elements.shipCountry, destination.country);
+    if (elements.shipPostcode) elements.shipPostcode.value = destination.postcode;
+    
+    // Load promo rules, tax rates and the catalog (for saved items), then restore a previously applied code
+    await Promise.all([loadPromoRules(), loadTaxRates(), loadCatalog()]);
+    
+    // Bring stored lines up to date with today's prices and availability
+    renderCartNotice(cartStore.reconcile(catalog));
+    loadCartFromStorage();
+    renderRegionOptions();
+    restoreAppliedPromo();
+    
     // Calculate and display
     calculateCart();
     displayCartItems();
@@ -85,52 +119,108 @@ async function initializeCart() {
     
     // Show/hide empty cart message
     toggleEmptyCartMessage();
+    updateItemCounts();
+    displaySavedItems();
+    
+    // Recently viewed fills the empty state
+    setupRecentlyViewed({ when: () => cart.length === 0 });
+}
+
+// Current prices for saved items and cart reconciliation; the cart itself works without it
+async function loadCatalog() {
+    try {
+        const response = await fetch('data.json');
+        if (!response.ok) throw new Error('Products data not found');
+        catalog = await response.json();
+    } catch (error) {
+        console.error('Error loading catalog:', error);
+        catalog = [];
+    }
 }
 
 function cacheElements() {
     elements.cartItems = document.getElementById('cartItems');
     elements.subTotalEl = document.getElementById('subTotal');
     elements.shippingEl = document.getElementById('shipping');
+    elements.shippingLabel = document.getElementById('shippingLabel');
+    elements.shippingNote = document.getElementById('shippingNote');
+    elements.shipCountry = document.getElementById('shipCountry');
+    elements.shipRegion = document.getElementById('shipRegion');
+    elements.taxRow = document.getElementById('taxRow');
+    elements.taxLabel = document.getElementById('taxLabel');
+    elements.taxEl = document.getElementById('tax');
+    elements.shipPostcode = document.getElementById('shipPostcode');
+    elements.shipMethod = document.getElementById('shipMethod');
+    elements.discountRow = document.getElementById('discountRow');
+    elements.discountEl = document.getElementById('discount');
+    elements.discountCodeEl = document.getElementById('discountCode');
     elements.totalEl = document.getElementById('total');
-    elements.checkoutBtn = document.getElementById('addCartBTN');
+    elements.promoInput = document.getElementById('promoCode');
+    elements.promoButton = document.getElementById('applyPromo');
+    elements.promoMessage = document.getElementById('promoMessage');
+    elements.checkoutBtn = document.getElementById('checkoutBtn');
     elements.emptyCartMsg = document.getElementById('emptyCartMsg');
+    elements.cartNotice = document.getElementById('cartNotice');
+    elements.savedForLater = document.getElementById('savedForLater');
+    elements.savedItems = document.getElementById('savedItems');
+    elements.savedItemCount = document.getElementById('savedItemCount');
 }
 
 function loadCartFromStorage() {
-    try {
-        const cartData = localStorage.getItem('cart');
-        cart = cartData ? JSON.parse(cartData) : [];
-    } catch (error) {
-        console.error('Error parsing cart data:', error);
-        cart = [];
-    }
+    cart = cartStore.getItems();
+}
+
+function getItemPrice(item) {
+    // Use numeric price from data.json
+    return typeof item.price === 'number' ? item.price : 
+           parseFloat((item.price || '0').toString().replace('$', '')) || 0;
+}
+
+// Lines that can be checked out; discontinued ones stay listed but don't count
+function getAvailableItems() {
+    return cart.filter(item => !item.discontinued);
+}
+
+function getTotalUnits() {
+    return cart.reduce((sum, item) => sum + (item.quantity || 1), 0);
 }
 
 function calculateCart() {
+    const items = getAvailableItems();
     subtotal = 0;
     
     // Calculate subtotal
-    cart.forEach(item => {
-        // Use numeric price from data.json
-        const price = typeof item.price === 'number' ? item.price : 
-                     parseFloat((item.price || '0').toString().replace('$', '')) || 0;
-        subtotal += price;
+    items.forEach(item => {
+        subtotal += getItemPrice(item) * item.quantity;
     });
     
-    // Calculate shipping
-    shipping = calculateShipping(cart.length);
+    // Calculate shipping, falling back to standard where a service isn't offered
+    shippingQuote = calculateShipping(items, subtotal, destination, destination.method);
+    if (!shippingQuote.available) {
+        destination.method = DEFAULT_SHIPPING_METHOD;
+        storeDestination(destination);
+        shippingQuote = calculateShipping(items, subtotal, destination, destination.method);
+    }
+    shipping = shippingQuote.cost;
+    
+    // Apply promo code
+    discount = 0;
+    if (appliedPromo && items.length > 0) {
+        const result = evaluatePromo(appliedPromo.rule.code, items);
+        if (result.valid) {
+            appliedPromo = result;
+            discount = result.discount;
+            if (result.freeShipping) shipping = 0;
+        } else {
+            removePromo(result.message);
+        }
+    }
+    
+    // Calculate tax on the discounted items (and shipping where applicable)
+    tax = calculateTax({ subtotal, discount, shipping, destination });
     
     // Calculate total
-    total = subtotal + shipping;
-}
-
-function calculateShipping(itemCount) {
-    if (itemCount === 0) return SHIPPING_RATES.BASE;
-    if (itemCount === 1) return SHIPPING_RATES.ONE_ITEM;
-    if (itemCount === 2) return SHIPPING_RATES.TWO_ITEMS;
-    if (itemCount >= 3 && itemCount <= 5) return SHIPPING_RATES.THREE_TO_FIVE;
-    if (itemCount >= 6) return SHIPPING_RATES.SIX_PLUS;
-    return SHIPPING_RATES.BASE;
+    total = Math.max(0, subtotal - discount) + shipping + tax.amount;
 }
 
 // ==================== DISPLAY FUNCTIONS ====================
@@ -139,9 +229,11 @@ function displayCartItems() {
     
     // Use DocumentFragment for better performance
     const fragment = document.createDocumentFragment();
+    const mountWarnings = getIncompatibleLenses(cart);
     
     cart.forEach((item, index) => {
-        const itemElement = createCartItemElement(item, index);
+        const warning = mountWarnings.find(entry => entry.lens === item);
+        const itemElement = createCartItemElement(item, index, warning);
         fragment.appendChild(itemElement);
     });
     
@@ -149,21 +241,64 @@ function displayCartItems() {
     elements.cartItems.appendChild(fragment);
 }
 
-function createCartItemElement(item, index) {
+function createCartItemElement(item, index, mountWarning = null) {
+    const lineTotal = getDisplayPrice(getItemPrice(item) * item.quantity, tax);
+    const unavailable = !!item.discontinued;
+    const limit = cartStore.getLimit(item);
+    const stockState = getStockStatus(item).state;
     const div = document.createElement('div');
-    div.className = 'card bg-secondary text-light mb-3 p-3';
+    div.className = `card bg-secondary text-light mb-3 p-3${unavailable ? ' cart-item-unavailable' : ''}`;
     div.innerHTML = `
         <div class="d-flex justify-content-between align-items-start">
             <div class="flex-grow-1">
                 <h5 class="mb-1">${escapeHTML(item.name)}</h5>
                 <p class="text-light mb-2">${escapeHTML(item.summary || '')}</p>
-                <div class="d-flex justify-content-between align-items-center">
-                    <strong class="fs-5 text-warning">${item.displayPrice || `$${item.price}`}</strong>
-                    <button class="btn btn-outline-danger btn-sm remove-item-btn" 
-                            data-index="${index}"
-                            aria-label="Remove ${escapeHTML(item.name)} from cart">
-                        <i class="fas fa-trash"></i> Remove
-                    </button>
+                ${!unavailable && (stockState === 'low-stock' || stockState === 'backorder') ? `
+                    <div class="mb-2">${renderStockBadge(item)}</div>
+                ` : ''}
+                ${unavailable ? `
+                    <div class="alert alert-danger py-2 px-3 small mb-2" role="alert">
+                        <i class="fas fa-ban me-1"></i>
+                        No longer available. Remove it or save it for later to check out.
+                    </div>
+                ` : ''}
+                ${mountWarning ? renderMountWarning(mountWarning) : ''}
+                <div class="d-flex flex-wrap justify-content-between align-items-center gap-2">
+                    <span class="text-light">${formatPrice(getDisplayPrice(getItemPrice(item), tax))} each</span>
+                    <div class="input-group input-group-sm quantity-control" role="group"
+                         aria-label="Quantity for ${escapeHTML(item.name)}">
+                        <button class="btn btn-outline-light quantity-btn" type="button"
+                                data-index="${index}" data-step="-1"
+                                aria-label="Decrease quantity"
+                                ${unavailable || item.quantity <= MIN_CART_QUANTITY ? 'disabled' : ''}>
+                            <i class="fas fa-minus"></i>
+                        </button>
+                        <input type="number" class="form-control text-center quantity-input"
+                               data-index="${index}" value="${item.quantity}"
+                               min="${MIN_CART_QUANTITY}" max="${limit}"
+                               aria-label="Quantity" ${unavailable ? 'disabled' : ''}>
+                        <button class="btn btn-outline-light quantity-btn" type="button"
+                                data-index="${index}" data-step="1"
+                                aria-label="Increase quantity"
+                                ${unavailable || item.quantity >= limit ? 'disabled' : ''}>
+                            <i class="fas fa-plus"></i>
+                        </button>
+                    </div>
+                </div>
+                <div class="d-flex justify-content-between align-items-center mt-2">
+                    <strong class="fs-5 text-warning line-subtotal">${formatPrice(lineTotal)}</strong>
+                    <div class="d-flex gap-2">
+                        <button class="btn btn-outline-light btn-sm save-later-btn"
+                                data-index="${index}"
+                                aria-label="Save ${escapeHTML(item.name)} for later">
+                            <i class="fa-regular fa-heart"></i> Save for later
+                        </button>
+                        <button class="btn btn-outline-danger btn-sm remove-item-btn" 
+                                data-index="${index}"
+                                aria-label="Remove ${escapeHTML(item.name)} from cart">
+                            <i class="fas fa-trash"></i> Remove
+                        </button>
+                    </div>
                 </div>
             </div>
         </div>
@@ -172,12 +307,204 @@ function createCartItemElement(item, index) {
     return div;
 }
 
+function renderMountWarning({ lens, bodies }) {
+    const names = bodies.map(body => escapeHTML(body.name)).join(', ');
+    const mounts = getLensMounts(lens).map(escapeHTML).join(' / ');
+    
+    return `
+        <div class="alert alert-warning py-2 px-3 small mb-2 mount-warning" role="alert">
+            <i class="fas fa-exclamation-triangle me-1"></i>
+            This ${mounts} lens doesn't fit the ${names} in your cart.
+        </div>
+    `;
+}
+
+// Wishlist items not already in the cart, with their current catalog price
+function displaySavedItems() {
+    if (!elements.savedForLater || !elements.savedItems) return;
+    
+    const saved = getWishlistItems().filter(item => !cart.some(line => line.id === item.id));
+    elements.savedForLater.classList.toggle('d-none', saved.length === 0);
+    if (elements.savedItemCount) elements.savedItemCount.textContent = saved.length;
+    
+    elements.savedItems.innerHTML = saved.map(item => {
+        const product = catalog.find(p => p.id === item.id);
+        return `
+            <div class="d-flex align-items-center gap-3 py-2 saved-item">
+                <img src="${item.image}" alt="" class="saved-item-thumb" loading="lazy">
+                <div class="flex-grow-1">
+                    <a href="detail.html?id=${item.id}" class="text-light text-decoration-none">${escapeHTML(item.name)}</a>
+                    <div class="small ${product ? 'text-warning' : 'text-muted'}">
+                        ${product ? formatPrice(product.price) : 'No longer available'}
+                    </div>
+                </div>
+                ${product ? `
+                    <button class="btn btn-outline-warning btn-sm move-to-cart-btn" data-id="${item.id}">
+                        <i class="fas fa-cart-plus me-1"></i> Move to cart
+                    </button>
+                ` : ''}
+                <button class="btn btn-outline-danger btn-sm remove-saved-btn" data-id="${item.id}"
+                        aria-label="Remove ${escapeHTML(item.name)} from saved items">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </div>
+        `;
+    }).join('');
+}
+
 function updateSummary() {
     if (!elements.subTotalEl || !elements.shippingEl || !elements.totalEl) return;
     
-    elements.subTotalEl.textContent = `$${subtotal.toFixed(2)}`;
-    elements.shippingEl.textContent = `$${shipping.toFixed(2)}`;
-    elements.totalEl.textContent = `$${total.toFixed(2)}`;
+    elements.subTotalEl.textContent = formatPrice(tax.display.subtotal);
+    const freeShipping = cart.length > 0 &&
+        (shippingQuote.free || (appliedPromo && appliedPromo.freeShipping));
+    elements.shippingEl.textContent = freeShipping ? 'FREE' : formatPrice(tax.display.shipping);
+    elements.totalEl.textContent = formatPrice(total);
+    
+    // Discount line
+    if (elements.discountRow) {
+        elements.discountRow.classList.toggle('d-none', discount <= 0);
+        if (elements.discountEl) elements.discountEl.textContent = `-${formatPrice(tax.display.discount)}`;
+        if (elements.discountCodeEl) elements.discountCodeEl.textContent = appliedPromo ? `(${appliedPromo.rule.code})` : '';
+    }
+    
+    // Tax line (informational for tax-inclusive regions)
+    if (elements.taxRow) {
+        elements.taxRow.classList.toggle('d-none', cart.length === 0 || (tax.rate === 0 && !tax.pending));
+        if (elements.taxLabel) elements.taxLabel.textContent = `${formatTaxLabel(tax)}:`;
+        if (elements.taxEl) elements.taxEl.textContent = tax.pending ? 'TBD' : formatPrice(tax.amount);
+    }
+    
+    updatePromoControls();
+    updateShippingEstimator();
+}
+
+// ==================== SHIPPING FUNCTIONS ====================
+function updateShippingEstimator() {
+    if (elements.shippingLabel) {
+        elements.shippingLabel.textContent = `Shipping (${shippingQuote.method.name}, ${shippingQuote.zone.label}):`;
+    }
+    
+    if (elements.shipMethod) {
+        const quotes = getShippingQuotes(getAvailableItems(), subtotal, destination);
+        elements.shipMethod.innerHTML = quotes.map(quote => {
+            const price = quote.free ? 'FREE' : formatPrice(quote.cost);
+            const suffix = quote.available ? price : 'not available';
+            return `<option value="${quote.method.id}" ${quote.method.id === destination.method ? 'selected' : ''}
+                            ${quote.available ? '' : 'disabled'}>
+                        ${quote.method.label} (${quote.method.eta}) - ${suffix}
+                    </option>`;
+        }).join('');
+    }
+    
+    if (elements.shippingNote) {
+        const remaining = FREE_SHIPPING_THRESHOLD - subtotal;
+        elements.shippingNote.textContent = cart.length === 0 ? '' :
+            shippingQuote.free
+                ? `Free standard shipping on orders over ${formatPrice(FREE_SHIPPING_THRESHOLD, { wholeUnits: true })}`
+                : `${shippingQuote.billableWeight} kg billable` +
+                  (remaining > 0 ? ` · Add ${formatPrice(remaining)} for free standard shipping` : '');
+    }
+}
+
+// State/province picker, only for countries that tax by region
+function renderRegionOptions() {
+    if (!elements.shipRegion) return;
+    
+    const regions = getTaxRegions(destination.country);
+    elements.shipRegion.classList.toggle('d-none', !regions);
+    if (!regions) {
+        elements.shipRegion.innerHTML = '';
+        return;
+    }
+    
+    elements.shipRegion.innerHTML = '<option value="">State / Province</option>' +
+        Object.entries(regions).map(([code, region]) =>
+            `<option value="${code}" ${code === destination.region ? 'selected' : ''}>${region.name}</option>`
+        ).join('');
+}
+
+function handleDestinationChange(e) {
+    const countryChanged = elements.shipCountry && e && e.target === elements.shipCountry;
+    
+    destination.country = elements.shipCountry ? elements.shipCountry.value : destination.country;
+    destination.region = countryChanged || !elements.shipRegion ? '' : elements.shipRegion.value;
+    destination.postcode = elements.shipPostcode ? elements.shipPostcode.value.trim() : destination.postcode;
+    destination.method = elements.shipMethod ? elements.shipMethod.value || destination.method : destination.method;
+    storeDestination(destination);
+    
+    if (countryChanged) renderRegionOptions();
+    calculateCart();
+    // Line prices include VAT in some regions
+    displayCartItems();
+    updateSummary();
+}
+
+// ==================== PROMO FUNCTIONS ====================
+function restoreAppliedPromo() {
+    const code = getStoredPromoCode();
+    if (!code) return;
+    
+    const result = evaluatePromo(code, getAvailableItems());
+    if (result.valid) {
+        appliedPromo = result;
+    } else {
+        clearStoredPromoCode();
+        setPromoMessage(result.message, 'danger');
+    }
+}
+
+function applyPromo(code) {
+    const items = getAvailableItems();
+    if (items.length === 0) {
+        setPromoMessage('Add items to your cart before applying a promo code', 'danger');
+        return;
+    }
+    
+    const result = evaluatePromo(code, items);
+    if (!result.valid) {
+        setPromoMessage(result.message, 'danger');
+        return;
+    }
+    
+    appliedPromo = result;
+    storePromoCode(result.rule.code);
+    
+    calculateCart();
+    updateSummary();
+    setPromoMessage(`${result.rule.code} applied: ${result.message}`, 'success');
+    showToast(`Promo code ${result.rule.code} applied`, 'success');
+}
+
+function removePromo(reason) {
+    if (!appliedPromo) return;
+    
+    const code = appliedPromo.rule.code;
+    appliedPromo = null;
+    discount = 0;
+    clearStoredPromoCode();
+    
+    setPromoMessage(reason || `${code} removed`, reason ? 'danger' : 'muted');
+}
+
+function updatePromoControls() {
+    if (!elements.promoInput || !elements.promoButton) return;
+    
+    if (appliedPromo) {
+        elements.promoInput.value = appliedPromo.rule.code;
+        elements.promoInput.disabled = true;
+        elements.promoButton.textContent = 'Remove';
+    } else {
+        elements.promoInput.disabled = false;
+        elements.promoButton.textContent = 'Apply';
+    }
+}
+
+function setPromoMessage(message, type = 'muted') {
+    if (!elements.promoMessage) return;
+    
+    elements.promoMessage.className = `d-block mt-2 text-${type}`;
+    elements.promoMessage.textContent = message;
 }
 
 function toggleEmptyCartMessage() {
@@ -200,6 +527,12 @@ function toggleEmptyCartMessage() {
             elements.checkoutBtn.disabled = true;
             elements.checkoutBtn.innerHTML = '<i class="fas fa-lock me-2"></i> Cart Empty';
         }
+    } else if (cart.some(item => item.discontinued)) {
+        // Discontinued lines have to go before checkout
+        if (elements.checkoutBtn) {
+            elements.checkoutBtn.disabled = true;
+            elements.checkoutBtn.innerHTML = '<i class="fas fa-ban me-2"></i> Remove Unavailable Items';
+        }
     } else {
         // Enable checkout button
         if (elements.checkoutBtn) {
@@ -209,6 +542,35 @@ function toggleEmptyCartMessage() {
     }
 }
 
+// Lists what reconciliation changed; stays up until dismissed
+function renderCartNotice(changes) {
+    if (!elements.cartNotice) return;
+    
+    elements.cartNotice.classList.toggle('d-none', changes.length === 0);
+    if (changes.length === 0) return;
+    
+    const discontinued = changes.some(change => change.type === 'discontinued');
+    elements.cartNotice.classList.toggle('alert-warning', discontinued);
+    elements.cartNotice.classList.toggle('alert-info', !discontinued);
+    elements.cartNotice.innerHTML = `
+        <strong><i class="fas fa-info-circle me-2"></i>Your cart has been updated since your last visit</strong>
+        <ul class="mb-0 mt-2">
+            ${changes.map(change => `<li>${escapeHTML(describeCartChange(change))}</li>`).join('')}
+        </ul>
+        <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>
+    `;
+}
+
+// Item count badges in the cart header and order summary
+function updateItemCounts() {
+    const count = getTotalUnits();
+    
+    ['cartItemCount', 'itemCount'].forEach(id => {
+        const badge = document.getElementById(id);
+        if (badge) badge.textContent = count;
+    });
+}
+
 // ==================== EVENT HANDLERS ====================
 function setupEventListeners() {
     // Checkout button
@@ -216,6 +578,42 @@ function setupEventListeners() {
         elements.checkoutBtn.addEventListener('click', handleCheckout);
     }
     
+    // Re-render prices when the currency changes
+    window.addEventListener('currencychange', refreshCart);
+    
+    // Every cart change, from this page or another tab
+    cartStore.subscribe(items => {
+        cart = items;
+        refreshCart();
+    });
+    
+    // Saved items change from this page, the navbar hearts or another tab
+    window.addEventListener('wishlistchange', displaySavedItems);
+    window.addEventListener('storage', e => {
+        if (e.key === 'wishlist') displaySavedItems();
+    });
+    
+    // Shipping estimator updates the summary live
+    [elements.shipCountry, elements.shipRegion, elements.shipMethod].forEach(control => {
+        if (control) control.addEventListener('change', handleDestinationChange);
+    });
+    if (elements.shipPostcode) {
+        elements.shipPostcode.addEventListener('input', handleDestinationChange);
+    }
+    
+    // Promo code
+    if (elements.promoButton) {
+        elements.promoButton.addEventListener('click', handlePromoClick);
+    }
+    if (elements.promoInput) {
+        elements.promoInput.addEventListener('keydown', function(e) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                handlePromoClick();
+            }
+        });
+    }
+    
     // Delegate remove item events
     document.addEventListener('click', function(e) {
         if (e.target.closest('.remove-item-btn')) {
@@ -223,7 +621,52 @@ function setupEventListeners() {
             const index = parseInt(button.getAttribute('data-index'));
             removeItemFromCart(index);
         }
+        
+        const saveButton = e.target.closest('.save-later-btn');
+        if (saveButton) {
+            saveForLater(parseInt(saveButton.getAttribute('data-index')));
+        }
+        
+        const moveButton = e.target.closest('.move-to-cart-btn');
+        if (moveButton) {
+            moveToCart(parseInt(moveButton.getAttribute('data-id')));
+        }
+        
+        const removeSavedButton = e.target.closest('.remove-saved-btn');
+        if (removeSavedButton) {
+            removeFromWishlist(parseInt(removeSavedButton.getAttribute('data-id')));
+        }
+        
+        // Delegate +/- quantity buttons
+        const stepButton = e.target.closest('.quantity-btn');
+        if (stepButton) {
+            const index = parseInt(stepButton.getAttribute('data-index'));
+            const step = parseInt(stepButton.getAttribute('data-step'));
+            if (cart[index]) {
+                updateItemQuantity(index, cart[index].quantity + step);
+            }
+        }
     });
+    
+    // Delegate direct quantity entry
+    document.addEventListener('change', function(e) {
+        if (e.target.classList.contains('quantity-input')) {
+            const index = parseInt(e.target.getAttribute('data-index'));
+            updateItemQuantity(index, e.target.value);
+        }
+    });
+}
+
+function handlePromoClick() {
+    if (appliedPromo) {
+        removePromo();
+        if (elements.promoInput) elements.promoInput.value = '';
+        calculateCart();
+        updateSummary();
+        return;
+    }
+    
+    applyPromo(elements.promoInput ? elements.promoInput.value : '');
 }
 
 function handleCheckout() {
@@ -232,37 +675,77 @@ function handleCheckout() {
         return;
     }
     
-    // Show confirmation
-    if (confirm(`Proceed to checkout? Total: $${total.toFixed(2)}`)) {
-        // In a real app, this would redirect to payment gateway
-        showToast('Checkout functionality coming soon!', 'info');
-        console.log('Checkout initiated:', {
-            items: cart.length,
-            subtotal: subtotal,
-            shipping: shipping,
-            total: total
-        });
+    if (cart.some(item => item.discontinued)) {
+        showToast('Remove items that are no longer available before checking out', 'warning');
+        return;
     }
+    
+    console.log('Checkout initiated:', {
+        items: getTotalUnits(),
+        subtotal: subtotal,
+        discount: discount,
+        promoCode: appliedPromo ? appliedPromo.rule.code : null,
+        shipping: shipping,
+        shippingMethod: destination.method,
+        tax: tax.amount,
+        total: total
+    });
+    
+    window.location.href = 'checkout.html';
 }
 
 function removeItemFromCart(index) {
     if (index < 0 || index >= cart.length) return;
     
     const itemName = cart[index].name;
-    cart.splice(index, 1);
     
-    // Save to localStorage
-    localStorage.setItem('cart', JSON.stringify(cart));
+    // The cart subscription recalculates and re-renders
+    cartStore.remove(cart[index].id);
+    
+    // Show confirmation
+    showToast(`Removed ${itemName} from cart`, 'success');
+}
+
+// Moves a cart line to the wishlist; the quantity isn't kept
+function saveForLater(index) {
+    if (index < 0 || index >= cart.length) return;
+    
+    const item = cart[index];
+    addToWishlist(item);
+    cartStore.remove(item.id);
+    
+    showToast(`Saved ${escapeHTML(item.name)} for later`, 'success');
+}
+
+function moveToCart(productId) {
+    const product = catalog.find(p => p.id === productId);
+    if (!product) return;
+    
+    const result = moveWishlistItemToCart(product);
+    showToast(escapeHTML(result.message), result.moved ? 'success' : 'warning');
+}
+
+function updateItemQuantity(index, value) {
+    if (index < 0 || index >= cart.length) return;
+    
+    const item = cart[index];
+    const limit = cartStore.getLimit(item);
+    if (parseInt(value) > limit) {
+        showToast(limit < MAX_CART_QUANTITY ? `Only ${limit} in stock` : `Maximum ${MAX_CART_QUANTITY} per item`, 'warning');
+    }
     
-    // Recalculate and update display
+    // An unchanged quantity (e.g. 15 typed at the maximum) fires no change; reset the input
+    if (cartStore.setQuantity(item.id, value) === item.quantity) refreshCart();
+}
+
+function refreshCart() {
     calculateCart();
     displayCartItems();
     updateSummary();
     toggleEmptyCartMessage();
-    updateCartCount();
-    
-    // Show confirmation
-    showToast(`Removed ${itemName} from cart`, 'success');
+    displaySavedItems();
+    renderRecentlyViewed();
+    updateItemCounts();
 }
 
 // ==================== UTILITY FUNCTIONS ====================
@@ -310,38 +793,3 @@ function showError(message) {
         container.prepend(errorDiv);
     }
 }
-
-// ==================== GLOBAL FUNCTIONS ====================
-// Make cart functions available globally if needed
-window.updateCartCount = function() {
-    try {
-        const cart = JSON.parse(localStorage.getItem('cart')) || [];
-        const count = cart.length;
-        
-        // Update navbar cart count
-        const badges = document.querySelectorAll('#cartCount');
-        badges.forEach(badge => {
-            badge.textContent = count;
-        });
-        
-        // ALSO update cart page item count
-        const cartItemCount = document.getElementById('cartItemCount');
-        if (cartItemCount) {
-            cartItemCount.textContent = count;
-        }
-        
-        // Also update order summary item count
-        const itemCount = document.getElementById('itemCount');
-        if (itemCount) {
-            itemCount.textContent = count;
-        }
-        
-        console.log('Cart count updated:', count);
-        
-    } catch (error) {
-        console.error('Error updating cart count:', error);
-    }
-};
-
-// Initialize cart count on load
-updateCartCount();
\ No newline at end of file
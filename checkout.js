@@ -0,0 +1,712 @@
+/**
+ * Checkout Page Script - Multi-step Checkout Flow
+ */
+
+// ==================== GLOBAL VARIABLES ====================
+let cart = [];
+let currentStepIndex = 0;
+let appliedPromo = null;
+let isPlacingOrder = false;
+let destination = null;
+let tax = null;
+
+// Values collected from completed steps
+const checkoutData = {
+    shippingMethod: DEFAULT_SHIPPING_METHOD
+};
+
+// Current order totals
+const totals = {
+    subtotal: 0,
+    discount: 0,
+    shipping: 0,
+    tax: 0,
+    total: 0
+};
+
+// Step order and the fields each step validates
+const CHECKOUT_STEPS = ['contact', 'address', 'delivery', 'payment', 'review'];
+const STEP_FIELDS = {
+    contact: ['firstName', 'lastName', 'email', 'phone'],
+    address: ['address1', 'address2', 'city', 'region', 'postcode', 'country'],
+    delivery: [],
+    payment: ['cardName', 'cardNumber', 'cardExpiry', 'cardCvc'],
+    review: []
+};
+
+// Per-field validation rules (payment fields are validated by the payment adapter)
+const FIELD_RULES = {
+    firstName: { required: 'Enter your first name' },
+    lastName: { required: 'Enter your last name' },
+    email: {
+        required: 'Enter your email address',
+        pattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+        message: 'Enter a valid email address'
+    },
+    phone: {
+        required: 'Enter a phone number',
+        pattern: /^\+?[\d\s()-]{7,20}$/,
+        message: 'Enter a valid phone number'
+    },
+    address1: { required: 'Enter your street address' },
+    address2: {},
+    city: { required: 'Enter your city' },
+    region: { required: 'Enter your state or province' },
+    postcode: {
+        required: 'Enter your postcode',
+        pattern: /^[A-Za-z0-9][A-Za-z0-9\s-]{2,9}$/,
+        message: 'Enter a valid postcode'
+    },
+    country: { required: 'Choose a country' }
+};
+
+// Card fields are never persisted or included in the stored order
+const PAYMENT_FIELDS = STEP_FIELDS.payment;
+
+// ==================== INITIALIZATION ====================
+document.addEventListener('DOMContentLoaded', async function() {
+    try {
+        // Load exchange rates, then navbar and footer
+        await loadExchangeRates();
+        await Promise.all([loadNavbar(), loadFooter()]);
+        
+        // Load promo rules, tax rates and the catalog, then the cart at today's prices
+        const [catalog] = await Promise.all([loadCatalog(), loadPromoRules(), loadTaxRates()]);
+        const changes = cartStore.reconcile(catalog);
+        loadCartFromStorage();
+        
+        if (cart.length === 0) {
+            showEmptyCheckout();
+            return;
+        }
+        
+        // Discontinued items can't be ordered; send the shopper back to the cart
+        if (cart.some(item => item.discontinued)) {
+            showUnavailableItems();
+            return;
+        }
+        renderCheckoutNotice(changes);
+        
+        restoreAppliedPromo();
+        restoreDestination();
+        // Shipping quotes read totals.subtotal, so totals come first
+        calculateTotals();
+        renderShippingMethods();
+        renderPaymentProvider();
+        renderSummary();
+        setupEventListeners();
+        showStep(0);
+        
+        console.log('Checkout page initialized');
+    } catch (error) {
+        console.error('Checkout initialization error:', error);
+        showError('Failed to load checkout. Please refresh the page.');
+    }
+});
+
+// ==================== LOAD FUNCTIONS ====================
+async function loadNavbar() {
+    try {
+        const response = await fetch('navbar.html');
+        if (!response.ok) throw new Error('Navbar not found');
+        const html = await response.text();
+        document.getElementById('navbar').innerHTML = html;
+        updateCartCount();
+        setupCurrencySelector();
+        setupSearchSuggestions();
+        setupWishlist();
+    } catch (error) {
+        console.error('Error loading navbar:', error);
+    }
+}
+
+async function loadFooter() {
+    try {
+        const response = await fetch('footer.html');
+        if (!response.ok) throw new Error('Footer not found');
+        const html = await response.text();
+        document.getElementById('footer').innerHTML = html;
+    } catch (error) {
+        console.error('Error loading footer:', error);
+    }
+}
+
+// The cart is reconciled against this; an empty list skips reconciliation
+async function loadCatalog() {
+    try {
+        const response = await fetch('data.json');
+        if (!response.ok) throw new Error('Products data not found');
+        return await response.json();
+    } catch (error) {
+        console.error('Error loading catalog:', error);
+        return [];
+    }
+}
+
+function loadCartFromStorage() {
+    cart = cartStore.getItems();
+}
+
+// Prefill the address with the destination estimated on the cart page
+function restoreDestination() {
+    destination = getStoredDestination();
+    checkoutData.shippingMethod = destination.method;
+    
+    renderCountryOptions(document.getElementById('country'), destination.country);
+    document.getElementById('postcode').value = destination.postcode;
+    document.getElementById('region').value = destination.region;
+}
+
+function restoreAppliedPromo() {
+    const code = getStoredPromoCode();
+    if (!code) return;
+    
+    const result = evaluatePromo(code, cart);
+    if (result.valid) {
+        appliedPromo = result;
+    } else {
+        clearStoredPromoCode();
+    }
+}
+
+// ==================== TOTALS ====================
+function getItemPrice(item) {
+    return typeof item.price === 'number' ? item.price :
+           parseFloat((item.price || '0').toString().replace('$', '')) || 0;
+}
+
+function calculateTotals() {
+    totals.subtotal = cart.reduce((sum, item) => sum + getItemPrice(item) * (item.quantity || 1), 0);
+    totals.discount = appliedPromo ? appliedPromo.discount : 0;
+    
+    let quote = calculateShipping(cart, totals.subtotal, destination, checkoutData.shippingMethod);
+    if (!quote.available) {
+        checkoutData.shippingMethod = DEFAULT_SHIPPING_METHOD;
+        quote = calculateShipping(cart, totals.subtotal, destination, checkoutData.shippingMethod);
+    }
+    totals.shipping = appliedPromo && appliedPromo.freeShipping ? 0 : quote.cost;
+    
+    tax = calculateTax({
+        subtotal: totals.subtotal,
+        discount: totals.discount,
+        shipping: totals.shipping,
+        destination: destination
+    });
+    totals.tax = tax.amount;
+    totals.total = Math.max(0, totals.subtotal - totals.discount) + totals.shipping + totals.tax;
+}
+
+// ==================== RENDER FUNCTIONS ====================
+function renderSummary() {
+    const itemsContainer = document.getElementById('summaryItems');
+    if (itemsContainer) {
+        itemsContainer.innerHTML = cart.map(item => `
+            <div class="d-flex justify-content-between small mb-2">
+                <span>${escapeHTML(item.name)} &times; ${item.quantity || 1}</span>
+                <span>${formatPrice(getDisplayPrice(getItemPrice(item) * (item.quantity || 1), tax))}</span>
+            </div>
+        `).join('');
+    }
+    
+    document.getElementById('subTotal').textContent = formatPrice(tax.display.subtotal);
+    document.getElementById('shipping').textContent = totals.shipping === 0 ? 'FREE' : formatPrice(tax.display.shipping);
+    document.getElementById('total').textContent = formatPrice(totals.total);
+    
+    // Payments are always taken in the base currency
+    const chargeNote = document.getElementById('chargeNote');
+    if (chargeNote) {
+        chargeNote.classList.toggle('d-none', getCurrency() === BASE_CURRENCY);
+        chargeNote.textContent = `You will be charged ${formatPrice(totals.total, { currency: BASE_CURRENCY })}`;
+    }
+    
+    const taxRow = document.getElementById('taxRow');
+    if (taxRow) {
+        taxRow.classList.toggle('d-none', tax.rate === 0 && !tax.pending);
+        document.getElementById('taxLabel').textContent = `${formatTaxLabel(tax)}:`;
+        document.getElementById('tax').textContent = tax.pending ? 'TBD' : formatPrice(tax.amount);
+    }
+    
+    const discountRow = document.getElementById('discountRow');
+    if (discountRow) {
+        discountRow.classList.toggle('d-none', totals.discount <= 0);
+        document.getElementById('discount').textContent = `-${formatPrice(tax.display.discount)}`;
+        document.getElementById('discountCode').textContent = appliedPromo ? `(${appliedPromo.rule.code})` : '';
+    }
+}
+
+function renderShippingMethods() {
+    const container = document.getElementById('shippingMethods');
+    if (!container) return;
+    
+    const freeByPromo = appliedPromo && appliedPromo.freeShipping;
+    const quotes = getShippingQuotes(cart, totals.subtotal, destination);
+    
+    container.innerHTML = quotes.map(quote => `
+        <label class="shipping-option card bg-dark text-light p-3 d-flex flex-row align-items-center gap-3 ${quote.available ? '' : 'opacity-50'}">
+            <input class="form-check-input mt-0" type="radio" name="shippingMethod"
+                   value="${quote.method.id}" ${quote.method.id === checkoutData.shippingMethod ? 'checked' : ''}
+                   ${quote.available ? '' : 'disabled'}>
+            <div class="flex-grow-1">
+                <strong>${quote.method.label}</strong>
+                <div class="small text-light opacity-75">
+                    ${quote.available ? quote.method.eta : `Not available to ${escapeHTML(quote.zone.label)}`}
+                </div>
+            </div>
+            <span class="text-warning fw-semibold">
+                ${quote.free || freeByPromo ? 'FREE' : formatPrice(quote.cost)}
+            </span>
+        </label>
+    `).join('') + `
+        <p class="small text-light opacity-75 mb-0">
+            Shipping to ${escapeHTML(quotes[0].zone.label)} &middot; ${quotes[0].billableWeight} kg billable weight
+        </p>
+    `;
+}
+
+function renderPaymentProvider() {
+    const label = document.getElementById('paymentProviderLabel');
+    if (label) {
+        label.innerHTML = `<i class="fas fa-lock me-1"></i> Paying with ${escapeHTML(getPaymentAdapter().label)}`;
+    }
+}
+
+function renderReview() {
+    const container = document.getElementById('reviewDetails');
+    if (!container) return;
+    
+    const method = getShippingMethod(checkoutData.shippingMethod);
+    const lastFour = (checkoutData.cardNumber || '').replace(/\D/g, '').slice(-4);
+    
+    container.innerHTML = `
+        <div class="review-block mb-3">
+            <div class="d-flex justify-content-between">
+                <h5>Contact</h5>
+                <button type="button" class="btn btn-link btn-sm text-warning p-0 edit-step-btn" data-step="contact">Edit</button>
+            </div>
+            <p class="mb-0">${escapeHTML(checkoutData.firstName)} ${escapeHTML(checkoutData.lastName)}</p>
+            <p class="mb-0">${escapeHTML(checkoutData.email)} &middot; ${escapeHTML(checkoutData.phone)}</p>
+        </div>
+        <div class="review-block mb-3">
+            <div class="d-flex justify-content-between">
+                <h5>Ship to</h5>
+                <button type="button" class="btn btn-link btn-sm text-warning p-0 edit-step-btn" data-step="address">Edit</button>
+            </div>
+            <p class="mb-0">${formatAddress(checkoutData)}</p>
+        </div>
+        <div class="review-block mb-3">
+            <div class="d-flex justify-content-between">
+                <h5>Delivery</h5>
+                <button type="button" class="btn btn-link btn-sm text-warning p-0 edit-step-btn" data-step="delivery">Edit</button>
+            </div>
+            <p class="mb-0">${method.label} (${method.eta})</p>
+        </div>
+        <div class="review-block mb-3">
+            <div class="d-flex justify-content-between">
+                <h5>Payment</h5>
+                <button type="button" class="btn btn-link btn-sm text-warning p-0 edit-step-btn" data-step="payment">Edit</button>
+            </div>
+            <p class="mb-0">Card ending in ${escapeHTML(lastFour)}</p>
+        </div>
+    `;
+}
+
+function formatAddress(data) {
+    return [
+        data.address1,
+        data.address2,
+        `${data.city}, ${data.region} ${data.postcode}`,
+        SHIPPING_COUNTRIES[data.country] || data.country
+    ].filter(Boolean).map(escapeHTML).join('<br>');
+}
+
+// ==================== STEP NAVIGATION ====================
+function showStep(index) {
+    currentStepIndex = Math.max(0, Math.min(index, CHECKOUT_STEPS.length - 1));
+    const stepId = CHECKOUT_STEPS[currentStepIndex];
+    
+    document.querySelectorAll('.checkout-panel').forEach(panel => {
+        panel.classList.toggle('d-none', panel.getAttribute('data-step') !== stepId);
+    });
+    
+    document.querySelectorAll('.checkout-step').forEach((step, i) => {
+        step.classList.toggle('active', i === currentStepIndex);
+        step.classList.toggle('completed', i < currentStepIndex);
+    });
+    
+    if (stepId === 'review') renderReview();
+    
+    const prevBtn = document.getElementById('prevStepBtn');
+    const nextBtn = document.getElementById('nextStepBtn');
+    
+    prevBtn.classList.toggle('invisible', currentStepIndex === 0);
+    nextBtn.innerHTML = stepId === 'review'
+        ? `<i class="fas fa-lock me-2"></i> Place Order &middot; ${formatPrice(totals.total)}`
+        : 'Continue <i class="fas fa-arrow-right ms-2"></i>';
+        
+    document.getElementById('paymentError').classList.add('d-none');
+}
+
+function goToStep(stepId) {
+    const index = CHECKOUT_STEPS.indexOf(stepId);
+    // Only completed steps can be revisited
+    if (index !== -1 && index <= currentStepIndex) showStep(index);
+}
+
+// ==================== VALIDATION ====================
+function validateField(name) {
+    const input = document.getElementById(name);
+    if (!input) return true;
+    
+    const value = input.value.trim();
+    const rule = FIELD_RULES[name] || {};
+    let error = '';
+    
+    if (!value) {
+        error = rule.required || '';
+    } else if (rule.pattern && !rule.pattern.test(value)) {
+        error = rule.message;
+    }
+    
+    setFieldError(name, error);
+    return !error;
+}
+
+function validatePaymentFields() {
+    const details = collectFields(PAYMENT_FIELDS);
+    const errors = getPaymentAdapter().validate(details);
+    
+    PAYMENT_FIELDS.forEach(name => setFieldError(name, errors[name] || ''));
+    return Object.keys(errors).length === 0;
+}
+
+function validateStep(stepId) {
+    if (stepId === 'payment') return validatePaymentFields();
+    
+    if (stepId === 'delivery') {
+        const valid = calculateShipping(cart, totals.subtotal, destination, checkoutData.shippingMethod).available;
+        document.getElementById('shippingMethodError').textContent = valid ? '' : 'Choose a shipping method';
+        return valid;
+    }
+    
+    // Validate every field so all errors are shown at once
+    const results = STEP_FIELDS[stepId].map(validateField);
+    return results.every(Boolean);
+}
+
+function setFieldError(name, message) {
+    const input = document.getElementById(name);
+    if (!input) return;
+    
+    input.classList.toggle('is-invalid', !!message);
+    const feedback = input.parentElement.querySelector('.invalid-feedback');
+    if (feedback) feedback.textContent = message;
+}
+
+function collectFields(names) {
+    const values = {};
+    names.forEach(name => {
+        const input = document.getElementById(name);
+        values[name] = input ? input.value.trim() : '';
+    });
+    return values;
+}
+
+function focusFirstInvalidField() {
+    const invalid = document.querySelector('.checkout-panel:not(.d-none) .is-invalid');
+    if (invalid) invalid.focus();
+}
+
+// ==================== EVENT HANDLERS ====================
+function setupEventListeners() {
+    const form = document.getElementById('checkoutForm');
+    form.addEventListener('submit', handleStepSubmit);
+    
+    document.getElementById('prevStepBtn').addEventListener('click', () => showStep(currentStepIndex - 1));
+    
+    // Validate fields as the user leaves them, and clear errors once fixed
+    form.addEventListener('focusout', function(e) {
+        const name = e.target.name;
+        if (FIELD_RULES[name]) validateField(name);
+    });
+    form.addEventListener('input', function(e) {
+        if (e.target.classList.contains('is-invalid') && FIELD_RULES[e.target.name]) {
+            validateField(e.target.name);
+        }
+    });
+    
+    // Re-render prices when the currency changes
+    window.addEventListener('currencychange', function() {
+        renderShippingMethods();
+        renderSummary();
+        showStep(currentStepIndex);
+    });
+    
+    // Keep the order in step with cart changes made in another tab
+    cartStore.subscribe((items, source) => {
+        if (source !== 'storage' || isPlacingOrder) return;
+        
+        cart = items;
+        if (cart.length === 0) {
+            showEmptyCheckout();
+            return;
+        }
+        if (cart.some(item => item.discontinued)) {
+            showUnavailableItems();
+            return;
+        }
+        
+        // The discount depends on the items, so check the code again
+        appliedPromo = null;
+        restoreAppliedPromo();
+        updateDestination();
+    });
+    
+    // Shipping method changes update the totals live
+    form.addEventListener('change', function(e) {
+        if (e.target.name === 'shippingMethod') {
+            checkoutData.shippingMethod = e.target.value;
+            updateDestination();
+        }
+    });
+    
+    // Edit links on the review step
+    form.addEventListener('click', function(e) {
+        const editButton = e.target.closest('.edit-step-btn');
+        if (editButton) goToStep(editButton.getAttribute('data-step'));
+    });
+    
+    // Step indicator links back to completed steps
+    document.querySelectorAll('.checkout-step').forEach(step => {
+        step.addEventListener('click', () => goToStep(step.getAttribute('data-step')));
+    });
+}
+
+async function handleStepSubmit(e) {
+    e.preventDefault();
+    
+    const stepId = CHECKOUT_STEPS[currentStepIndex];
+    
+    if (stepId === 'review') {
+        await placeOrder();
+        return;
+    }
+    
+    if (!validateStep(stepId)) {
+        focusFirstInvalidField();
+        return;
+    }
+    
+    Object.assign(checkoutData, collectFields(STEP_FIELDS[stepId]));
+    
+    // Re-quote shipping for the confirmed address
+    if (stepId === 'address') {
+        destination.country = checkoutData.country;
+        destination.postcode = checkoutData.postcode;
+        destination.region = checkoutData.region;
+        updateDestination();
+    }
+    
+    showStep(currentStepIndex + 1);
+}
+
+function updateDestination() {
+    calculateTotals();
+    destination.method = checkoutData.shippingMethod;
+    storeDestination(destination);
+    renderShippingMethods();
+    renderSummary();
+}
+
+// ==================== ORDER PLACEMENT ====================
+async function placeOrder() {
+    if (isPlacingOrder) return;
+    
+    const nextBtn = document.getElementById('nextStepBtn');
+    const paymentError = document.getElementById('paymentError');
+    
+    isPlacingOrder = true;
+    nextBtn.disabled = true;
+    nextBtn.innerHTML = '<span class="spinner-border spinner-border-sm me-2"></span> Processing...';
+    paymentError.classList.add('d-none');
+    
+    const order = buildOrder();
+    
+    try {
+        const result = await getPaymentAdapter().charge({
+            amount: totals.total,
+            currency: BASE_CURRENCY,
+            details: collectFields(PAYMENT_FIELDS),
+            order: order
+        });
+        
+        if (!result.success) {
+            throw new Error(result.message || 'Payment failed');
+        }
+        
+        order.transactionId = result.transactionId;
+        completeOrder(order);
+    } catch (error) {
+        console.error('Payment error:', error);
+        nextBtn.disabled = false;
+        // showStep hides stale errors, so restore the button first and show this one after
+        showStep(currentStepIndex);
+        paymentError.textContent = `${error.message}. Please check your payment details and try again.`;
+        paymentError.classList.remove('d-none');
+    } finally {
+        isPlacingOrder = false;
+    }
+}
+
+function buildOrder() {
+    const method = getShippingMethod(checkoutData.shippingMethod);
+    const customer = { ...checkoutData };
+    PAYMENT_FIELDS.forEach(name => delete customer[name]);
+    
+    return {
+        orderNumber: `LF-${Date.now().toString().slice(-8)}`,
+        placedAt: new Date().toISOString(),
+        items: cart.map(item => ({
+            id: item.id,
+            name: item.name,
+            price: getItemPrice(item),
+            quantity: item.quantity || 1
+        })),
+        customer: customer,
+        shippingMethod: method.label,
+        shippingZone: SHIPPING_ZONES[getShippingZone(destination)].label,
+        promoCode: appliedPromo ? appliedPromo.rule.code : null,
+        tax: {
+            label: formatTaxLabel(tax),
+            rate: tax.rate,
+            inclusive: tax.inclusive
+        },
+        display: { ...tax.display },
+        totals: { ...totals }
+    };
+}
+
+function completeOrder(order) {
+    sessionStorage.setItem('lastOrder', JSON.stringify(order));
+    
+    // Clear the cart and any applied promo
+    cartStore.clear();
+    clearStoredPromoCode();
+    cart = [];
+    
+    showConfirmation(order);
+}
+
+function showConfirmation(order) {
+    document.getElementById('checkoutFlow').classList.add('d-none');
+    
+    const container = document.getElementById('orderConfirmation');
+    container.classList.remove('d-none');
+    container.innerHTML = `
+        <div class="card bg-secondary border-0 shadow p-4 p-md-5 text-center">
+            <i class="fas fa-check-circle fa-4x text-success mb-3"></i>
+            <h2 class="fw-bold">Thank you for your order!</h2>
+            <p class="lead mb-1">Order <strong class="text-warning">${escapeHTML(order.orderNumber)}</strong></p>
+            <p class="text-light opacity-75">A confirmation has been sent to ${escapeHTML(order.customer.email)}</p>
+            
+            <div class="text-start mx-auto my-4" style="max-width: 480px;">
+                ${order.items.map(item => `
+                    <div class="d-flex justify-content-between mb-2">
+                        <span>${escapeHTML(item.name)} &times; ${item.quantity}</span>
+                        <span>${formatPrice(getDisplayPrice(item.price * item.quantity, order.tax))}</span>
+                    </div>
+                `).join('')}
+                <hr class="border-light">
+                <div class="d-flex justify-content-between mb-2">
+                    <span>Subtotal</span><span>${formatPrice(order.display.subtotal)}</span>
+                </div>
+                ${order.totals.discount > 0 ? `
+                    <div class="d-flex justify-content-between mb-2 text-success">
+                        <span>Discount (${escapeHTML(order.promoCode)})</span><span>-${formatPrice(order.display.discount)}</span>
+                    </div>
+                ` : ''}
+                <div class="d-flex justify-content-between mb-2">
+                    <span>${escapeHTML(order.shippingMethod)}</span><span>${order.totals.shipping === 0 ? 'FREE' : formatPrice(order.display.shipping)}</span>
+                </div>
+                ${order.totals.tax > 0 ? `
+                    <div class="d-flex justify-content-between mb-2">
+                        <span>${escapeHTML(order.tax.label)}</span><span>${formatPrice(order.totals.tax)}</span>
+                    </div>
+                ` : ''}
+                <div class="d-flex justify-content-between fs-5 fw-bold text-warning">
+                    <span>Total</span><span>${formatPrice(order.totals.total)}</span>
+                </div>
+            </div>
+            
+            <a href="index.html" class="btn btn-warning btn-lg">
+                <i class="fas fa-shopping-bag me-2"></i> Continue Shopping
+            </a>
+        </div>
+    `;
+    
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+function renderCheckoutNotice(changes) {
+    const notice = document.getElementById('checkoutNotice');
+    if (!notice || changes.length === 0) return;
+    
+    notice.innerHTML = `
+        <strong><i class="fas fa-info-circle me-2"></i>Your cart has been updated to current prices and stock</strong>
+        <ul class="mb-0 mt-2">
+            ${changes.map(change => `<li>${escapeHTML(describeCartChange(change))}</li>`).join('')}
+        </ul>
+    `;
+    notice.classList.remove('d-none');
+}
+
+function showUnavailableItems() {
+    const names = cart.filter(item => item.discontinued).map(item => `<li>${escapeHTML(item.name)}</li>`).join('');
+    
+    document.getElementById('checkoutFlow').innerHTML = `
+        <div class="col-12 text-center py-5">
+            <i class="fas fa-ban fa-4x text-muted mb-3"></i>
+            <h4 class="text-muted">Some items are no longer available</h4>
+            <ul class="list-unstyled text-muted mb-4">${names}</ul>
+            <a href="cart.html" class="btn btn-warning">
+                <i class="fas fa-arrow-left me-2"></i> Review Your Cart
+            </a>
+        </div>
+    `;
+}
+
+function showEmptyCheckout() {
+    document.getElementById('checkoutFlow').innerHTML = `
+        <div class="col-12 text-center py-5">
+            <i class="fas fa-shopping-cart fa-4x text-muted mb-3"></i>
+            <h4 class="text-muted">Your cart is empty</h4>
+            <p class="text-muted mb-4">Add some products before checking out.</p>
+            <a href="index.html" class="btn btn-warning">
+                <i class="fas fa-shopping-bag me-2"></i> Continue Shopping
+            </a>
+        </div>
+    `;
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function showError(message) {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'alert alert-danger m-3';
+    errorDiv.innerHTML = `
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        ${message}
+        <button class="btn btn-sm btn-outline-light ms-3" onclick="location.reload()">
+            Retry
+        </button>
+    `;
+    
+    const container = document.querySelector('.container');
+    if (container) {
+        container.prepend(errorDiv);
+    }
+}
@@ -0,0 +1,211 @@
+/**
+ * Compare Page Script - Side-by-side Product Comparison
+ */
+
+// ==================== GLOBAL VARIABLES ====================
+let catalog = [];
+let compared = [];
+
+// Rows every product has; spec rows are added from each product's `specs`
+const COMPARE_ROWS = [
+    {
+        label: 'Price',
+        value: product => product.price,
+        format: product => formatPrice(product.price, { wholeUnits: true })
+    },
+    { label: 'Brand', value: product => product.brand },
+    { label: 'Category', value: product => product.category },
+    { label: 'Highlights', value: product => product.summary },
+    {
+        label: 'Shipping weight',
+        value: product => product.shipping ? product.shipping.weight : null,
+        format: product => product.shipping ? `${product.shipping.weight} kg` : null
+    }
+];
+
+// ==================== INITIALIZATION ====================
+document.addEventListener('DOMContentLoaded', async function() {
+    try {
+        // Load exchange rates, then navbar and footer
+        await loadExchangeRates();
+        await Promise.all([loadNavbar(), loadFooter()]);
+        
+        catalog = await loadCatalog();
+        renderComparison();
+        
+        // Removing a product here, or in another tab, re-renders the table
+        window.addEventListener('comparechange', renderComparison);
+        window.addEventListener('storage', e => {
+            if (e.key === 'compare') renderComparison();
+        });
+        window.addEventListener('currencychange', renderComparison);
+        document.getElementById('differencesOnly').addEventListener('change', handleDifferencesToggle);
+        
+        console.log('Compare page initialized');
+    } catch (error) {
+        console.error('Compare page initialization error:', error);
+        showError('Failed to load the comparison. Please refresh the page.');
+    }
+});
+
+// ==================== LOAD FUNCTIONS ====================
+async function loadNavbar() {
+    try {
+        const response = await fetch('navbar.html');
+        if (!response.ok) throw new Error('Navbar not found');
+        const html = await response.text();
+        document.getElementById('navbar').innerHTML = html;
+        updateCartCount();
+        setupCurrencySelector();
+        setupSearchSuggestions();
+        setupCompare();
+        setupWishlist();
+    } catch (error) {
+        console.error('Error loading navbar:', error);
+    }
+}
+
+async function loadFooter() {
+    try {
+        const response = await fetch('footer.html');
+        if (!response.ok) throw new Error('Footer not found');
+        const html = await response.text();
+        document.getElementById('footer').innerHTML = html;
+    } catch (error) {
+        console.error('Error loading footer:', error);
+    }
+}
+
+async function loadCatalog() {
+    const response = await fetch('data.json');
+    if (!response.ok) throw new Error('Products data not found');
+    return response.json();
+}
+
+// ==================== RENDERING ====================
+function renderComparison() {
+    const table = document.getElementById('compareTable');
+    const emptyState = document.getElementById('compareEmpty');
+    
+    // Current catalog data, in the order the products were added
+    compared = getCompareItems()
+        .map(item => catalog.find(product => product.id === item.id))
+        .filter(Boolean);
+    
+    if (compared.length === 0) {
+        table.innerHTML = '';
+        table.closest('.compare-wrapper').classList.add('d-none');
+        emptyState.classList.remove('d-none');
+        return;
+    }
+    
+    table.closest('.compare-wrapper').classList.remove('d-none');
+    emptyState.classList.add('d-none');
+    
+    const rows = getComparisonRows(compared);
+    
+    table.innerHTML = `
+        <thead>
+            <tr>
+                <th scope="col" class="compare-label-col"></th>
+                ${compared.map(product => `
+                    <th scope="col" class="compare-product-col">
+                        <div class="position-relative text-center">
+                            <button type="button" class="btn-close btn-close-white position-absolute top-0 end-0"
+                                    data-compare-remove="${product.id}"
+                                    aria-label="Remove ${escapeHTML(product.name)} from compare"></button>
+                            <a href="detail.html?id=${product.id}" class="text-decoration-none text-light">
+                                <img src="${product.images[0]}" alt="${escapeHTML(product.name)}"
+                                     class="compare-image mb-2" loading="lazy">
+                                <div class="fw-semibold">${escapeHTML(product.name)}</div>
+                            </a>
+                        </div>
+                    </th>
+                `).join('')}
+                ${compared.length === 1 ? `
+                    <th scope="col" class="compare-product-col text-center text-muted fw-normal">
+                        <a href="index.html" class="text-warning">Add another product</a> to compare.
+                    </th>
+                ` : ''}
+            </tr>
+        </thead>
+        <tbody>
+            ${rows.map(row => `
+                <tr class="${row.different ? 'compare-diff' : 'compare-same'}">
+                    <th scope="row">${escapeHTML(row.label)}</th>
+                    ${row.cells.map(cell => `<td>${cell === null ? '<span class="text-muted">&mdash;</span>' : escapeHTML(String(cell))}</td>`).join('')}
+                    ${compared.length === 1 ? '<td></td>' : ''}
+                </tr>
+            `).join('')}
+        </tbody>
+    `;
+    
+    handleDifferencesToggle();
+}
+
+/**
+ * Builds one row per attribute with a display value per product.
+ * A row is "different" when the products don't all share the same value.
+ */
+function getComparisonRows(products) {
+    // One row per spec label, in schema order (products may span categories)
+    const specLabels = [];
+    products.forEach(product => {
+        getProductSpecs(product).forEach(spec => {
+            if (!specLabels.includes(spec.label)) specLabels.push(spec.label);
+        });
+    });
+    
+    const findSpec = (product, label) => getProductSpecs(product).find(spec => spec.label === label);
+    const specRows = specLabels.map(label => ({
+        label: label,
+        value: product => (findSpec(product, label) || {}).value,
+        format: product => (findSpec(product, label) || {}).display ?? null
+    }));
+    
+    return COMPARE_ROWS.concat(specRows).map(row => {
+        const values = products.map(product => {
+            const value = row.value(product);
+            return value === undefined ? null : value;
+        });
+        
+        return {
+            label: row.label,
+            cells: products.map(product => row.format ? row.format(product) : row.value(product) ?? null),
+            different: products.length > 1 && new Set(values.map(value => JSON.stringify(value))).size > 1
+        };
+    });
+}
+
+// ==================== EVENT HANDLERS ====================
+function handleDifferencesToggle() {
+    const differencesOnly = document.getElementById('differencesOnly').checked;
+    
+    document.querySelectorAll('#compareTable .compare-same').forEach(row => {
+        row.classList.toggle('d-none', differencesOnly);
+    });
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function showError(message) {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'alert alert-danger m-3';
+    errorDiv.innerHTML = `
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        ${message}
+        <button class="btn btn-sm btn-outline-light ms-3" onclick="location.reload()">
+            Retry
+        </button>
+    `;
+    
+    const container = document.querySelector('.container');
+    if (container) {
+        container.prepend(errorDiv);
+    }
+}
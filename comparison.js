@@ -0,0 +1,207 @@
+/**
+ * Product Comparison
+ * Compare toggles on product cards and the detail page, plus the tray
+ * pinned to the bottom of the screen. The list is kept in localStorage so
+ * it survives navigation; compare.js renders the full comparison.
+ */
+
+// ==================== CONFIGURATION ====================
+const COMPARE_STORAGE_KEY = 'compare';
+const MAX_COMPARE_ITEMS = 4;
+
+// ==================== STORAGE ====================
+// Entries are { id, name, image } so the tray can render without data.json
+function getCompareItems() {
+    try {
+        const items = JSON.parse(localStorage.getItem(COMPARE_STORAGE_KEY)) || [];
+        return Array.isArray(items) ? items.slice(0, MAX_COMPARE_ITEMS) : [];
+    } catch (error) {
+        console.error('Error parsing compare list:', error);
+        return [];
+    }
+}
+
+function saveCompareItems(items) {
+    localStorage.setItem(COMPARE_STORAGE_KEY, JSON.stringify(items));
+    window.dispatchEvent(new CustomEvent('comparechange', { detail: { items } }));
+}
+
+function isInCompare(productId) {
+    return getCompareItems().some(item => item.id === productId);
+}
+
+/**
+ * Adds or removes a product.
+ * Returns { added, full } - `full` is true when the tray had no room.
+ */
+function toggleCompare(product) {
+    const items = getCompareItems();
+    
+    if (items.some(item => item.id === product.id)) {
+        saveCompareItems(items.filter(item => item.id !== product.id));
+        return { added: false, full: false };
+    }
+    
+    if (items.length >= MAX_COMPARE_ITEMS) {
+        return { added: false, full: true };
+    }
+    
+    items.push({ id: product.id, name: product.name, image: product.image });
+    saveCompareItems(items);
+    return { added: true, full: false };
+}
+
+function removeFromCompare(productId) {
+    saveCompareItems(getCompareItems().filter(item => item.id !== productId));
+}
+
+function clearCompare() {
+    saveCompareItems([]);
+}
+
+// ==================== SETUP ====================
+/**
+ * Call once per page. Compare buttons anywhere on the page only need
+ * data-compare-id, data-compare-name and data-compare-image attributes.
+ */
+function setupCompare() {
+    if (setupCompare.bound) return;
+    setupCompare.bound = true;
+    
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-compare-id]');
+        if (button) {
+            e.preventDefault();
+            handleCompareToggle(button);
+            return;
+        }
+        
+        const remove = e.target.closest('[data-compare-remove]');
+        if (remove) {
+            removeFromCompare(parseInt(remove.getAttribute('data-compare-remove')));
+            return;
+        }
+        
+        if (e.target.closest('#compareClearBtn')) clearCompare();
+    });
+    
+    window.addEventListener('comparechange', refreshCompareUI);
+    
+    // Keep other open tabs in step
+    window.addEventListener('storage', e => {
+        if (e.key === COMPARE_STORAGE_KEY) refreshCompareUI();
+    });
+    
+    refreshCompareUI();
+}
+
+function handleCompareToggle(button) {
+    const result = toggleCompare({
+        id: parseInt(button.getAttribute('data-compare-id')),
+        name: button.getAttribute('data-compare-name'),
+        image: button.getAttribute('data-compare-image')
+    });
+    
+    if (result.full) {
+        setCompareMessage(`You can compare up to ${MAX_COMPARE_ITEMS} products. Remove one to add another.`);
+    }
+}
+
+function refreshCompareUI() {
+    syncCompareButtons();
+    renderCompareTray();
+}
+
+// ==================== RENDERING ====================
+// Markup for a compare toggle; pages drop it into their cards and detail view
+function renderCompareButton(product, className = 'btn btn-outline-light btn-sm') {
+    const active = isInCompare(product.id);
+    
+    return `
+        <button type="button" class="${className} compare-toggle ${active ? 'active' : ''}"
+                data-compare-id="${product.id}"
+                data-compare-name="${product.name.replace(/"/g, '&quot;')}"
+                data-compare-image="${product.images[0].replace(/"/g, '&quot;')}"
+                aria-pressed="${active}">
+            <i class="fas fa-balance-scale me-1"></i> <span class="compare-toggle-label">${active ? 'Comparing' : 'Compare'}</span>
+        </button>
+    `;
+}
+
+function syncCompareButtons() {
+    const ids = getCompareItems().map(item => item.id);
+    
+    document.querySelectorAll('[data-compare-id]').forEach(button => {
+        const active = ids.includes(parseInt(button.getAttribute('data-compare-id')));
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active);
+        
+        const label = button.querySelector('.compare-toggle-label');
+        if (label) label.textContent = active ? 'Comparing' : 'Compare';
+    });
+}
+
+function renderCompareTray() {
+    const items = getCompareItems();
+    let tray = document.getElementById('compareTray');
+    
+    // The compare page shows the products itself
+    const hidden = items.length === 0 || !!document.getElementById('compareTable');
+    document.body.classList.toggle('has-compare-tray', !hidden);
+    
+    if (hidden) {
+        if (tray) tray.remove();
+        return;
+    }
+    
+    if (!tray) {
+        tray = document.createElement('div');
+        tray.id = 'compareTray';
+        tray.className = 'compare-tray shadow-lg';
+        tray.setAttribute('role', 'region');
+        tray.setAttribute('aria-label', 'Products to compare');
+        document.body.appendChild(tray);
+    }
+    
+    const slots = Array.from({ length: MAX_COMPARE_ITEMS }, (_, i) => items[i]);
+    
+    tray.innerHTML = `
+        <div class="container d-flex flex-wrap align-items-center gap-3 py-2">
+            <strong class="me-2"><i class="fas fa-balance-scale me-2 text-warning"></i>Compare (${items.length}/${MAX_COMPARE_ITEMS})</strong>
+            <div class="d-flex gap-2 flex-grow-1">
+                ${slots.map(item => item ? `
+                    <div class="compare-tray-item" title="${item.name.replace(/"/g, '&quot;')}">
+                        <img src="${item.image}" alt="${item.name.replace(/"/g, '&quot;')}">
+                        <button type="button" class="btn-close btn-close-white" data-compare-remove="${item.id}"
+                                aria-label="Remove ${item.name.replace(/"/g, '&quot;')} from compare"></button>
+                    </div>
+                ` : '<div class="compare-tray-item compare-tray-empty"></div>').join('')}
+            </div>
+            <small class="compare-tray-message text-warning" id="compareMessage"></small>
+            <button type="button" class="btn btn-link btn-sm text-light" id="compareClearBtn">Clear</button>
+            <a href="compare.html" class="btn btn-warning btn-sm ${items.length < 2 ? 'disabled' : ''}"
+               ${items.length < 2 ? 'aria-disabled="true" tabindex="-1"' : ''}>
+                Compare now
+            </a>
+        </div>
+    `;
+}
+
+function setCompareMessage(message) {
+    const element = document.getElementById('compareMessage');
+    if (!element) return;
+    
+    element.textContent = message;
+    clearTimeout(setCompareMessage.timer);
+    setCompareMessage.timer = setTimeout(() => {
+        element.textContent = '';
+    }, 4000);
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.setupCompare = setupCompare;
+window.getCompareItems = getCompareItems;
+window.removeFromCompare = removeFromCompare;
+window.clearCompare = clearCompare;
+window.renderCompareButton = renderCompareButton;
+window.syncCompareButtons = syncCompareButtons;
@@ -0,0 +1,72 @@
+/**
+ * Lens Mount Compatibility
+ * Matches camera bodies and lenses by the `mount` spec (see specs.js).
+ * Used for the detail page's "works with" lists and the cart mount warning.
+ */
+
+// ==================== CONFIGURATION ====================
+// Cameras with a built-in lens take no interchangeable lenses
+const FIXED_LENS_MOUNT = 'Fixed lens';
+
+// ==================== MOUNTS ====================
+// Mount of an interchangeable-lens body, or null for anything else
+function getBodyMount(product) {
+    if (product.category !== 'Cameras') return null;
+    
+    const [mount] = getSpecValues(product, 'mount');
+    return mount && mount !== FIXED_LENS_MOUNT ? mount : null;
+}
+
+function getLensMounts(product) {
+    return product.category === 'Camera Lenses' ? getSpecValues(product, 'mount') : [];
+}
+
+function fitsCamera(lens, camera) {
+    const mount = getBodyMount(camera);
+    return !!mount && getLensMounts(lens).includes(mount);
+}
+
+// ==================== RECOMMENDATIONS ====================
+/**
+ * Lenses for a body, or bodies for a lens.
+ * Returns { title, products } or null when the product has no mount.
+ */
+function getCompatibleProducts(product, catalog) {
+    if (getBodyMount(product)) {
+        return {
+            title: 'Compatible Lenses',
+            products: catalog.filter(lens => fitsCamera(lens, product))
+        };
+    }
+    
+    if (getLensMounts(product).length > 0) {
+        return {
+            title: 'Fits These Cameras',
+            products: catalog.filter(camera => fitsCamera(product, camera))
+        };
+    }
+    
+    return null;
+}
+
+// ==================== CART CHECK ====================
+/**
+ * Lenses in a set of cart lines that fit none of the bodies alongside them.
+ * Nothing is flagged when there are no bodies; the shopper may own one.
+ * Returns [{ lens, bodies }].
+ */
+function getIncompatibleLenses(items) {
+    const bodies = items.filter(item => getBodyMount(item));
+    if (bodies.length === 0) return [];
+    
+    return items
+        .filter(item => getLensMounts(item).length > 0)
+        .filter(lens => !bodies.some(body => fitsCamera(lens, body)))
+        .map(lens => ({ lens, bodies }));
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.getBodyMount = getBodyMount;
+window.getLensMounts = getLensMounts;
+window.getCompatibleProducts = getCompatibleProducts;
+window.getIncompatibleLenses = getIncompatibleLenses;
@@ -0,0 +1,125 @@
+/**
+ * Currency Conversion & Price Formatting
+ * Catalog prices are stored in USD; everything shown to the shopper goes
+ * through formatPrice() so every page renders the same currency.
+ */
+
+// ==================== CONFIGURATION ====================
+const BASE_CURRENCY = 'USD';
+const CURRENCY_STORAGE_KEY = 'currency';
+
+// Currencies offered in the navbar selector and the locale used to format each
+const CURRENCIES = {
+    USD: { label: 'US Dollar', locale: 'en-US' },
+    PKR: { label: 'Pakistani Rupee', locale: 'en-PK' },
+    EUR: { label: 'Euro', locale: 'de-DE' },
+    GBP: { label: 'British Pound', locale: 'en-GB' },
+    AED: { label: 'UAE Dirham', locale: 'en-AE' },
+    SAR: { label: 'Saudi Riyal', locale: 'en-SA' },
+    INR: { label: 'Indian Rupee', locale: 'en-IN' },
+    CAD: { label: 'Canadian Dollar', locale: 'en-CA' },
+    AUD: { label: 'Australian Dollar', locale: 'en-AU' }
+};
+
+let exchangeRates = { [BASE_CURRENCY]: 1 };
+let exchangeRatesPromise = null;
+const formatterCache = new Map();
+
+// ==================== LOAD FUNCTIONS ====================
+function loadExchangeRates() {
+    if (!exchangeRatesPromise) {
+        exchangeRatesPromise = fetch('exchange-rates.json')
+            .then(response => {
+                if (!response.ok) throw new Error('Exchange rates not found');
+                return response.json();
+            })
+            .then(data => {
+                exchangeRates = { ...data.rates, [BASE_CURRENCY]: 1 };
+                return exchangeRates;
+            })
+            .catch(error => {
+                // Prices fall back to USD rather than showing nothing
+                console.error('Error loading exchange rates:', error);
+                return exchangeRates;
+            });
+    }
+    
+    return exchangeRatesPromise;
+}
+
+// ==================== CURRENCY SELECTION ====================
+function getCurrency() {
+    const stored = localStorage.getItem(CURRENCY_STORAGE_KEY);
+    return stored && CURRENCIES[stored] && exchangeRates[stored] ? stored : BASE_CURRENCY;
+}
+
+function setCurrency(code) {
+    if (!CURRENCIES[code] || !exchangeRates[code]) return;
+    
+    localStorage.setItem(CURRENCY_STORAGE_KEY, code);
+    syncCurrencySelectors();
+    
+    // Pages listen for this and re-render their prices
+    window.dispatchEvent(new CustomEvent('currencychange', { detail: { currency: code } }));
+}
+
+// ==================== CONVERSION & FORMATTING ====================
+function convertPrice(amount, currency = getCurrency()) {
+    return (Number(amount) || 0) * (exchangeRates[currency] || 1);
+}
+
+/**
+ * Formats a USD amount in the shopper's currency.
+ * Pass { wholeUnits: true } for catalog prices shown without cents.
+ */
+function formatPrice(amount, options = {}) {
+    const currency = options.currency || getCurrency();
+    const key = `${currency}:${!!options.wholeUnits}`;
+    
+    if (!formatterCache.has(key)) {
+        const formatOptions = { style: 'currency', currency: currency };
+        if (options.wholeUnits) {
+            formatOptions.minimumFractionDigits = 0;
+            formatOptions.maximumFractionDigits = 0;
+        }
+        formatterCache.set(key, new Intl.NumberFormat(CURRENCIES[currency].locale, formatOptions));
+    }
+    
+    return formatterCache.get(key).format(convertPrice(amount, currency));
+}
+
+// ==================== NAVBAR SELECTOR ====================
+// Delegated so it keeps working when the navbar partial is re-inserted
+function setupCurrencySelector() {
+    syncCurrencySelectors();
+    
+    if (setupCurrencySelector.bound) return;
+    setupCurrencySelector.bound = true;
+    
+    document.addEventListener('change', function(e) {
+        if (e.target.id === 'currencySelect') {
+            setCurrency(e.target.value);
+        }
+    });
+}
+
+function syncCurrencySelectors() {
+    const current = getCurrency();
+    
+    document.querySelectorAll('#currencySelect').forEach(select => {
+        if (select.options.length === 0) {
+            select.innerHTML = Object.keys(CURRENCIES)
+                .filter(code => exchangeRates[code])
+                .map(code => `<option value="${code}" title="${CURRENCIES[code].label}">${code}</option>`)
+                .join('');
+        }
+        select.value = current;
+    });
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.loadExchangeRates = loadExchangeRates;
+window.getCurrency = getCurrency;
+window.setCurrency = setCurrency;
+window.formatPrice = formatPrice;
+window.setupCurrencySelector = setupCurrencySelector;
@@ -5,14 +5,22 @@
 // ==================== GLOBAL VARIABLES ====================
 let currentProduct = null;
 
+// How many products the bottom section shows
+const RELATED_LIMIT = 4;
+const COMPATIBLE_LIMIT = 8;
+
 // ==================== INITIALIZATION ====================
 document.addEventListener('DOMContentLoaded', async function() {
     console.log('Detail page loading...');
     
     try {
-        // Load navbar and footer
+        // Load exchange rates, then navbar and footer
+        await loadExchangeRates();
         await Promise.all([loadNavbar(), loadFooter()]);
         
+        // Re-render prices when the currency changes
+        window.addEventListener('currencychange', handleCurrencyChange);
+        
         // Get product ID from URL
         const productId = getProductIdFromURL();
         console.log('Product ID from URL:', productId);
@@ -41,6 +49,10 @@ async function loadNavbar() {
         const html = await response.text();
         document.getElementById('navbar').innerHTML = html;
         updateCartCount();
+        setupCurrencySelector();
+        setupSearchSuggestions();
+        setupCompare();
+        setupWishlist();
     } catch (error) {
         console.error('Error loading navbar:', error);
     }
@@ -61,7 +73,8 @@ async function loadFooter() {
 function getProductIdFromURL() {
     try {
         const urlParams = new URLSearchParams(window.location.search);
-        let productId = urlParams.get('id');
+        // Pre-rendered pages (products/*.html) carry the id on <body> instead
+        let productId = urlParams.get('id') || document.body.dataset.productId;
         
         console.log('Raw ID from URL:', productId);
         
@@ -91,9 +104,11 @@ async function loadProductDetails(productId) {
     try {
         console.log('Loading product details for ID:', productId);
         
-        // Show loading state
-        document.getElementById('loadingState').classList.remove('d-none');
-        document.getElementById('productDetail').classList.add('d-none');
+        // Show loading state, unless a pre-rendered copy is already on screen
+        if (!document.body.dataset.productId) {
+            document.getElementById('loadingState').classList.remove('d-none');
+            document.getElementById('productDetail').classList.add('d-none');
+        }
         document.getElementById('errorState').classList.add('d-none');
         
         // Fetch all products
@@ -115,13 +130,18 @@ async function loadProductDetails(productId) {
         console.log('Product found:', product.name);
         currentProduct = product;
         
+        // Remember the visit, and show the others viewed before it
+        recordRecentlyViewed(product);
+        setupRecentlyViewed({ excludeId: product.id });
+        
         // Hide loading, show product
         document.getElementById('loadingState').classList.add('d-none');
         document.getElementById('productDetail').classList.remove('d-none');
         displayProductDetails(product);
+        updateProductMetadata(product);
         
-        // Load related products
-        loadRelatedProducts(product.category, product.id);
+        // Load compatible or related products
+        loadRelatedProducts(product);
         
     } catch (error) {
         console.error('Error loading product details:', error);
@@ -130,17 +150,33 @@ async function loadProductDetails(productId) {
 }
 
 // ==================== RELATED PRODUCTS ====================
-async function loadRelatedProducts(category, currentProductId) {
+/**
+ * Bodies show the lenses that fit them and lenses the bodies they fit;
+ * everything else (or a mount with no matches) falls back to the same category.
+ */
+async function loadRelatedProducts(currentProduct) {
     try {
-        console.log('Loading related products for category:', category);
+        console.log('Loading related products for:', currentProduct.name);
         
         const response = await fetch('data.json');
         const products = await response.json();
         
-        // Filter related products (same category, excluding current)
-        const related = products
-            .filter(p => p.category === category && p.id !== currentProductId)
-            .slice(0, 4);
+        const compatible = getCompatibleProducts(currentProduct, products);
+        let title = 'You Might Also Like';
+        let related;
+        
+        if (compatible && compatible.products.length > 0) {
+            title = compatible.title;
+            related = compatible.products.slice(0, COMPATIBLE_LIMIT);
+        } else {
+            // Same category, excluding current
+            related = products
+                .filter(p => p.category === currentProduct.category && p.id !== currentProduct.id)
+                .slice(0, RELATED_LIMIT);
+        }
+        
+        const titleElement = document.getElementById('relatedTitle');
+        if (titleElement) titleElement.textContent = title;
         
         console.log('Found related products:', related.length);
         
@@ -183,7 +219,7 @@ async function loadRelatedProducts(category, currentProductId) {
                     
                     <div class="card-footer bg-dark border-0">
                         <div class="d-flex justify-content-between align-items-center">
-                            <strong class="price">${product.displayPrice || `$${product.price}`}</strong>
+                            <strong class="price">${formatPrice(product.price, { wholeUnits: true })}</strong>
                             <a href="detail.html?id=${product.id}" 
                                class="btn btn-outline-warning btn-sm">
                                 View
@@ -206,16 +242,14 @@ function displayProductDetails(product) {
     const productDetail = document.getElementById('productDetail');
     if (!productDetail) return;
     
+    const stock = getStockStatus(product);
+    
     productDetail.innerHTML = `
         <div class="row g-4">
             <!-- Product Images -->
             <div class="col-lg-6">
                 <div class="card border-0 shadow-lg bg-transparent">
-                    <img src="${product.images[0]}" 
-                         class="img-fluid rounded-3" 
-                         alt="${product.name}"
-                         loading="eager"
-                         id="mainProductImage">
+                    ${renderGallery(product)}
                 </div>
             </div>
             
@@ -233,7 +267,8 @@ function displayProductDetails(product) {
                     
                     <!-- Price -->
                     <div class="price-section mb-4">
-                        <h2 class="text-warning fw-bold">${product.displayPrice || `$${product.price}`}</h2>
+                        <h2 class="text-warning fw-bold">${formatPrice(product.price, { wholeUnits: true })}</h2>
+                        ${renderStockBadge(product, 'fs-6')}
                     </div>
                     
                     <!-- Product Details -->
@@ -242,14 +277,21 @@ function displayProductDetails(product) {
                         <p class="text-light">${product.details}</p>
                     </div>
                     
+                    ${renderSpecTable(product)}
+                    
                     <!-- Action Buttons -->
                     <div class="action-buttons d-flex gap-3">
                         <button class="btn btn-warning btn-lg flex-grow-1" 
                                 id="addCartBTN"
+                                ${stock.orderable ? '' : 'disabled'}
                                 onclick="addToCart(${JSON.stringify(product).replace(/"/g, '&quot;')})">
-                            <i class="fas fa-cart-plus me-2"></i> Add to Cart
+                            <i class="fas fa-cart-plus me-2"></i> ${stock.orderable ? (stock.state === 'backorder' ? 'Backorder' : 'Add to Cart') : 'Discontinued'}
                         </button>
                         
+                        ${renderWishlistButton(product, 'btn btn-outline-light btn-lg')}
+                        
+                        ${renderCompareButton(product, 'btn btn-outline-light btn-lg')}
+                        
                         <button class="btn btn-outline-warning btn-lg" 
                                 onclick="window.location.href='index.html'">
                             <i class="fas fa-arrow-left me-2"></i> Continue Shopping
@@ -259,46 +301,50 @@ function displayProductDetails(product) {
             </div>
         </div>
     `;
+    
+    setupGallery();
+}
+
+function renderSpecTable(product) {
+    const specs = getProductSpecs(product);
+    if (specs.length === 0) return '';
+    
+    return `
+        <div class="specs-section mb-4">
+            <h4 class="mb-3">Specifications</h4>
+            <table class="table table-dark table-sm spec-table mb-0">
+                <tbody>
+                    ${specs.map(spec => `
+                        <tr>
+                            <th scope="row">${spec.label}</th>
+                            <td>${spec.display}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+function handleCurrencyChange() {
+    if (!currentProduct) return;
+    
+    displayProductDetails(currentProduct);
+    loadRelatedProducts(currentProduct);
 }
 
 // ==================== CART FUNCTION ====================
 function addToCart(product) {
     try {
-        // Get current cart
-        let cart = JSON.parse(localStorage.getItem('cart')) || [];
-        
-        // Check if product already in cart
-        const existingIndex = cart.findIndex(item => item.id === product.id);
-        
-        if (existingIndex !== -1) {
-            showSimpleNotification(`${product.name} is already in your cart!`, 'warning');
-            return;
+        const result = cartStore.add(product);
+        
+        if (!result.added) {
+            showSimpleNotification(describeCartLimit(product, result.limit), 'warning');
+        } else if (result.existing) {
+            showSimpleNotification(`${product.name} quantity updated to ${result.quantity}`, 'success');
+        } else {
+            showSimpleNotification(`${product.name} added to cart!`, 'success');
         }
-        
-        // Prepare product data for cart
-        const cartProduct = {
-            id: product.id,
-            name: product.name,
-            brand: product.brand,
-            summary: product.summary,
-            price: product.price,
-            displayPrice: product.displayPrice || `$${product.price}`,
-            images: product.images,
-            category: product.category
-        };
-        
-        // Add to cart
-        cart.push(cartProduct);
-        
-        // Save to localStorage
-        localStorage.setItem('cart', JSON.stringify(cart));
-        
-        // Update cart count
-        updateCartCount();
-        
-        // Show success notification
-        showSimpleNotification(`${product.name} added to cart!`, 'success');
-        
     } catch (error) {
         console.error('Error adding to cart:', error);
         showSimpleNotification('Failed to add product to cart', 'error');
@@ -349,6 +395,9 @@ function showSimpleNotification(message, type = 'success') {
 }
 
 function showProductNotFound() {
+    // Keep missing and mistyped ids out of search results
+    setMetaContent('name', 'robots', 'noindex');
+    
     document.getElementById('loadingState').classList.add('d-none');
     document.getElementById('productDetail').classList.add('d-none');
     document.getElementById('errorState').classList.remove('d-none');
@@ -372,18 +421,6 @@ function showError(message) {
 }
 
 // ==================== GLOBAL FUNCTIONS ====================
-window.updateCartCount = function() {
-    try {
-        const cart = JSON.parse(localStorage.getItem('cart')) || [];
-        const badges = document.querySelectorAll('#cartCount');
-        badges.forEach(badge => {
-            badge.textContent = cart.length;
-        });
-    } catch (error) {
-        console.error('Error updating cart count:', error);
-    }
-};
-
 // Make functions available globally
 window.addToCart = addToCart;
 window.showSimpleNotification = showSimpleNotification;
\ No newline at end of file
@@ -0,0 +1,16 @@
+/**
+ * Site Footer
+ * Behaviour for footer.html. Pages fetch the footer into #footer and
+ * scripts/build.js inlines it, and neither runs scripts inside the
+ * partial, so its handlers live here and are delegated from the document.
+ */
+
+// ==================== BACK TO TOP ====================
+function handleFooterClick(e) {
+    if (!e.target.closest('#footerBackToTop')) return;
+    
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+}
+
+// ==================== INITIALIZATION ====================
+document.addEventListener('click', handleFooterClick);
@@ -0,0 +1,391 @@
+/**
+ * Product Image Gallery
+ * Detail-page gallery: main image with hover zoom, thumbnails, arrow-key and
+ * swipe navigation, and a fullscreen lightbox with pinch / double-click zoom.
+ * Thumbnails and arrows only appear when a product has more than one image.
+ */
+
+// ==================== CONFIGURATION ====================
+const GALLERY_HOVER_ZOOM = 2;
+const GALLERY_MAX_ZOOM = 4;
+const GALLERY_SWIPE_DISTANCE = 50;
+
+// Current product's images and the one on screen; survives re-renders (e.g. currency changes)
+const galleryState = {
+    productId: null,
+    name: '',
+    images: [],
+    index: 0
+};
+
+// Lightbox zoom and pan, plus the pointers currently on it
+const lightboxState = {
+    scale: 1,
+    x: 0,
+    y: 0,
+    pointers: new Map(),
+    pinchDistance: 0,
+    pinchScale: 1,
+    dragStart: null
+};
+
+// ==================== RENDERING ====================
+// Markup for the gallery column; call setupGallery() once it is in the page
+function renderGallery(product) {
+    if (galleryState.productId !== product.id) {
+        galleryState.productId = product.id;
+        galleryState.index = 0;
+    }
+    galleryState.name = product.name;
+    galleryState.images = product.images;
+    
+    const multiple = product.images.length > 1;
+    const escapedName = product.name.replace(/"/g, '&quot;');
+    
+    return `
+        <div class="product-gallery" id="productGallery">
+            <div class="gallery-stage rounded-3" id="galleryStage" tabindex="0"
+                 aria-label="${escapedName} images. Press Enter for fullscreen">
+                <img src="${product.images[galleryState.index]}"
+                     class="img-fluid gallery-image"
+                     alt="${escapedName}"
+                     loading="eager"
+                     id="mainProductImage">
+                ${multiple ? `
+                    <button type="button" class="btn btn-dark gallery-nav gallery-prev" data-gallery-step="-1"
+                            aria-label="Previous image">
+                        <i class="fas fa-chevron-left"></i>
+                    </button>
+                    <button type="button" class="btn btn-dark gallery-nav gallery-next" data-gallery-step="1"
+                            aria-label="Next image">
+                        <i class="fas fa-chevron-right"></i>
+                    </button>
+                ` : ''}
+                <span class="gallery-hint badge bg-dark"><i class="fas fa-expand me-1"></i> Click to enlarge</span>
+            </div>
+            ${multiple ? `
+                <div class="gallery-thumbs d-flex gap-2 mt-3" role="tablist" aria-label="Product images">
+                    ${product.images.map((image, i) => `
+                        <button type="button" class="gallery-thumb ${i === galleryState.index ? 'active' : ''}"
+                                data-gallery-index="${i}" role="tab"
+                                aria-selected="${i === galleryState.index}"
+                                aria-label="Image ${i + 1} of ${product.images.length}">
+                            <img src="${image}" alt="" loading="lazy">
+                        </button>
+                    `).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `;
+}
+
+// ==================== SETUP ====================
+/**
+ * Binds the gallery rendered by renderGallery(). Listeners are delegated
+ * from the document, so re-rendering the detail view doesn't stack them.
+ */
+function setupGallery() {
+    if (setupGallery.bound) return;
+    setupGallery.bound = true;
+    
+    document.addEventListener('click', function(e) {
+        if (!e.target.closest('#productGallery, #galleryLightbox')) return;
+        
+        const step = e.target.closest('[data-gallery-step]');
+        if (step) {
+            e.stopPropagation();
+            showGalleryImage(galleryState.index + parseInt(step.getAttribute('data-gallery-step')));
+            return;
+        }
+        
+        const thumb = e.target.closest('[data-gallery-index]');
+        if (thumb) {
+            showGalleryImage(parseInt(thumb.getAttribute('data-gallery-index')));
+            return;
+        }
+        
+        if (e.target.closest('#galleryCloseBtn')) {
+            closeLightbox();
+            return;
+        }
+        
+        if (e.target.closest('#galleryStage')) openLightbox();
+    });
+    
+    document.addEventListener('keydown', handleGalleryKeydown);
+    
+    setupSwipe();
+    
+    // Hover zoom follows the mouse; touch screens get swipe and the lightbox instead
+    if (!window.matchMedia('(hover: hover)').matches) return;
+    
+    document.addEventListener('mousemove', function(e) {
+        const stage = e.target.closest('#galleryStage');
+        if (!stage || e.target.closest('.gallery-nav')) {
+            resetHoverZoom();
+            return;
+        }
+        
+        const rect = stage.getBoundingClientRect();
+        const image = stage.querySelector('.gallery-image');
+        image.style.transformOrigin = `${((e.clientX - rect.left) / rect.width) * 100}% ${((e.clientY - rect.top) / rect.height) * 100}%`;
+        image.style.transform = `scale(${GALLERY_HOVER_ZOOM})`;
+    });
+    
+    document.addEventListener('mouseout', function(e) {
+        const stage = e.target.closest('#galleryStage');
+        if (stage && !stage.contains(e.relatedTarget)) resetHoverZoom();
+    });
+}
+
+function setupSwipe() {
+    let start = null;
+    
+    document.addEventListener('touchstart', function(e) {
+        if (!e.target.closest('#galleryStage') || e.touches.length !== 1) {
+            start = null;
+            return;
+        }
+        start = { x: e.touches[0].clientX, y: e.touches[0].clientY };
+    }, { passive: true });
+    
+    document.addEventListener('touchend', function(e) {
+        if (!start || !e.target.closest('#galleryStage')) return;
+        
+        const dx = e.changedTouches[0].clientX - start.x;
+        const dy = e.changedTouches[0].clientY - start.y;
+        start = null;
+        
+        // Mostly-horizontal swipes only, so the page still scrolls
+        if (Math.abs(dx) > GALLERY_SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+            showGalleryImage(galleryState.index + (dx < 0 ? 1 : -1));
+        }
+    });
+}
+
+// ==================== NAVIGATION ====================
+// Wraps around at either end
+function showGalleryImage(index) {
+    const count = galleryState.images.length;
+    if (count === 0) return;
+    
+    galleryState.index = (index + count) % count;
+    const src = galleryState.images[galleryState.index];
+    
+    const image = document.getElementById('mainProductImage');
+    if (image) image.src = src;
+    
+    document.querySelectorAll('#productGallery [data-gallery-index]').forEach(thumb => {
+        const active = parseInt(thumb.getAttribute('data-gallery-index')) === galleryState.index;
+        thumb.classList.toggle('active', active);
+        thumb.setAttribute('aria-selected', active);
+    });
+    
+    const lightbox = document.getElementById('galleryLightbox');
+    if (lightbox) {
+        lightbox.querySelector('.lightbox-image').src = src;
+        lightbox.querySelector('.lightbox-counter').textContent = `${galleryState.index + 1} / ${count}`;
+        resetLightboxZoom();
+    }
+}
+
+function handleGalleryKeydown(e) {
+    const lightboxOpen = !!document.getElementById('galleryLightbox');
+    if (!lightboxOpen && !e.target.closest('#productGallery')) return;
+    
+    switch (e.key) {
+        case 'ArrowLeft':
+        case 'ArrowRight':
+            e.preventDefault();
+            showGalleryImage(galleryState.index + (e.key === 'ArrowRight' ? 1 : -1));
+            break;
+            
+        case 'Enter':
+        case ' ':
+            if (!lightboxOpen && e.target.id === 'galleryStage') {
+                e.preventDefault();
+                openLightbox();
+            }
+            break;
+            
+        case 'Escape':
+            if (lightboxOpen) closeLightbox();
+            break;
+    }
+}
+
+function resetHoverZoom() {
+    const image = document.querySelector('#galleryStage .gallery-image');
+    if (image && image.style.transform) {
+        image.style.transform = '';
+        image.style.transformOrigin = '';
+    }
+}
+
+// ==================== LIGHTBOX ====================
+function openLightbox() {
+    if (document.getElementById('galleryLightbox') || galleryState.images.length === 0) return;
+    
+    const multiple = galleryState.images.length > 1;
+    const lightbox = document.createElement('div');
+    lightbox.id = 'galleryLightbox';
+    lightbox.className = 'gallery-lightbox';
+    lightbox.setAttribute('role', 'dialog');
+    lightbox.setAttribute('aria-modal', 'true');
+    lightbox.setAttribute('aria-label', `${galleryState.name} images`);
+    lightbox.innerHTML = `
+        <div class="lightbox-toolbar d-flex align-items-center gap-3 p-3">
+            <span class="lightbox-counter small text-muted me-auto ${multiple ? '' : 'invisible'}"></span>
+            <small class="text-muted d-none d-md-inline">Double-click or pinch to zoom</small>
+            <button type="button" class="btn-close btn-close-white" id="galleryCloseBtn" aria-label="Close"></button>
+        </div>
+        <div class="lightbox-viewport">
+            <img class="lightbox-image" alt="${galleryState.name.replace(/"/g, '&quot;')}" draggable="false">
+        </div>
+        ${multiple ? `
+            <button type="button" class="btn btn-dark gallery-nav gallery-prev" data-gallery-step="-1"
+                    aria-label="Previous image">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <button type="button" class="btn btn-dark gallery-nav gallery-next" data-gallery-step="1"
+                    aria-label="Next image">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        ` : ''}
+    `;
+    
+    document.body.appendChild(lightbox);
+    document.body.classList.add('overflow-hidden');
+    bindLightboxZoom(lightbox.querySelector('.lightbox-viewport'));
+    showGalleryImage(galleryState.index);
+    document.getElementById('galleryCloseBtn').focus();
+}
+
+function closeLightbox() {
+    const lightbox = document.getElementById('galleryLightbox');
+    if (!lightbox) return;
+    
+    lightbox.remove();
+    document.body.classList.remove('overflow-hidden');
+    
+    const stage = document.getElementById('galleryStage');
+    if (stage) stage.focus();
+}
+
+// ==================== LIGHTBOX ZOOM ====================
+// Pointer events cover mouse drag, touch pan and two-finger pinch alike
+function bindLightboxZoom(viewport) {
+    viewport.addEventListener('dblclick', function(e) {
+        if (lightboxState.scale > 1) {
+            resetLightboxZoom();
+        } else {
+            zoomLightboxAt(2, e.clientX, e.clientY);
+        }
+    });
+    
+    viewport.addEventListener('wheel', function(e) {
+        e.preventDefault();
+        zoomLightboxAt(lightboxState.scale * (e.deltaY < 0 ? 1.2 : 1 / 1.2), e.clientX, e.clientY);
+    }, { passive: false });
+    
+    viewport.addEventListener('pointerdown', function(e) {
+        viewport.setPointerCapture(e.pointerId);
+        lightboxState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        
+        if (lightboxState.pointers.size === 2) {
+            lightboxState.pinchDistance = getPinchDistance();
+            lightboxState.pinchScale = lightboxState.scale;
+        }
+        lightboxState.dragStart = { x: e.clientX, y: e.clientY, panX: lightboxState.x, panY: lightboxState.y };
+    });
+    
+    viewport.addEventListener('pointermove', function(e) {
+        if (!lightboxState.pointers.has(e.pointerId)) return;
+        lightboxState.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        
+        if (lightboxState.pointers.size === 2) {
+            const [a, b] = [...lightboxState.pointers.values()];
+            const scale = lightboxState.pinchScale * (getPinchDistance() / lightboxState.pinchDistance);
+            zoomLightboxAt(scale, (a.x + b.x) / 2, (a.y + b.y) / 2);
+            return;
+        }
+        
+        // Panning only makes sense once zoomed in
+        const start = lightboxState.dragStart;
+        if (start && lightboxState.scale > 1) {
+            lightboxState.x = start.panX + (e.clientX - start.x);
+            lightboxState.y = start.panY + (e.clientY - start.y);
+            applyLightboxTransform();
+        }
+    });
+    
+    const endPointer = function(e) {
+        const start = lightboxState.dragStart;
+        lightboxState.pointers.delete(e.pointerId);
+        
+        // Lifting one finger of a pinch carries on as a pan from where the other one is
+        if (lightboxState.pointers.size === 1) {
+            const [rest] = lightboxState.pointers.values();
+            lightboxState.dragStart = { x: rest.x, y: rest.y, panX: lightboxState.x, panY: lightboxState.y };
+            return;
+        }
+        
+        // A horizontal swipe at normal size moves to the next image
+        if (lightboxState.pointers.size === 0 && start && lightboxState.scale === 1) {
+            const dx = e.clientX - start.x;
+            if (Math.abs(dx) > GALLERY_SWIPE_DISTANCE) showGalleryImage(galleryState.index + (dx < 0 ? 1 : -1));
+        }
+        
+        lightboxState.dragStart = null;
+    };
+    viewport.addEventListener('pointerup', endPointer);
+    viewport.addEventListener('pointercancel', endPointer);
+}
+
+function getPinchDistance() {
+    const [a, b] = [...lightboxState.pointers.values()];
+    return Math.hypot(a.x - b.x, a.y - b.y) || 1;
+}
+
+// Zooms keeping the point under (clientX, clientY) in place
+function zoomLightboxAt(scale, clientX, clientY) {
+    const image = document.querySelector('#galleryLightbox .lightbox-image');
+    if (!image) return;
+    
+    const next = Math.min(GALLERY_MAX_ZOOM, Math.max(1, scale));
+    if (next === 1) {
+        resetLightboxZoom();
+        return;
+    }
+    
+    // Offset of the point from the image centre, before scaling
+    const rect = image.getBoundingClientRect();
+    const dx = clientX - (rect.left + rect.width / 2);
+    const dy = clientY - (rect.top + rect.height / 2);
+    const ratio = next / lightboxState.scale;
+    
+    lightboxState.x -= dx * (ratio - 1);
+    lightboxState.y -= dy * (ratio - 1);
+    lightboxState.scale = next;
+    applyLightboxTransform();
+}
+
+function resetLightboxZoom() {
+    lightboxState.scale = 1;
+    lightboxState.x = 0;
+    lightboxState.y = 0;
+    applyLightboxTransform();
+}
+
+function applyLightboxTransform() {
+    const image = document.querySelector('#galleryLightbox .lightbox-image');
+    if (!image) return;
+    
+    image.style.transform = `translate(${lightboxState.x}px, ${lightboxState.y}px) scale(${lightboxState.scale})`;
+    image.classList.toggle('zoomed', lightboxState.scale > 1);
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.renderGallery = renderGallery;
+window.setupGallery = setupGallery;
+window.showGalleryImage = showGalleryImage;
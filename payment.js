@@ -0,0 +1,126 @@
+/**
+ * Payment Adapters
+ *
+ * Every adapter implements the same interface so checkout.js never
+ * talks to a payment provider directly:
+ *
+ *   id        - unique key used to register and look up the adapter
+ *   label     - name shown to the customer
+ *   validate(details)         -> { fieldName: 'error message', ... } (empty when valid)
+ *   async charge(paymentRequest) -> { success, transactionId, message }
+ *
+ * paymentRequest is { amount, currency, details, order }.
+ */
+
+// ==================== ADAPTER REGISTRY ====================
+const paymentAdapters = {};
+let activePaymentAdapterId = null;
+
+function registerPaymentAdapter(adapter) {
+    if (!adapter || !adapter.id || typeof adapter.validate !== 'function' || typeof adapter.charge !== 'function') {
+        throw new Error('Payment adapter must provide id, validate() and charge()');
+    }
+    
+    paymentAdapters[adapter.id] = adapter;
+    if (!activePaymentAdapterId) activePaymentAdapterId = adapter.id;
+}
+
+function getPaymentAdapter(id = activePaymentAdapterId) {
+    const adapter = paymentAdapters[id];
+    if (!adapter) throw new Error(`Payment adapter "${id}" is not registered`);
+    return adapter;
+}
+
+function setActivePaymentAdapter(id) {
+    getPaymentAdapter(id);
+    activePaymentAdapterId = id;
+}
+
+// ==================== CARD HELPERS ====================
+function passesLuhnCheck(cardNumber) {
+    let sum = 0;
+    let double = false;
+    
+    for (let i = cardNumber.length - 1; i >= 0; i--) {
+        let digit = parseInt(cardNumber[i]);
+        if (double) {
+            digit *= 2;
+            if (digit > 9) digit -= 9;
+        }
+        sum += digit;
+        double = !double;
+    }
+    
+    return sum % 10 === 0;
+}
+
+function isCardExpired(expiry, now = new Date()) {
+    const [month, year] = expiry.split('/').map(part => parseInt(part));
+    // Cards are valid through the last day of the expiry month
+    const expiresAt = new Date(2000 + year, month, 1);
+    return now >= expiresAt;
+}
+
+function validateCardDetails(details) {
+    const errors = {};
+    const number = (details.cardNumber || '').replace(/[\s-]/g, '');
+    const expiry = (details.cardExpiry || '').trim();
+    const cvc = (details.cardCvc || '').trim();
+    
+    if (!(details.cardName || '').trim()) {
+        errors.cardName = 'Enter the name shown on the card';
+    }
+    
+    if (!/^\d{13,19}$/.test(number) || !passesLuhnCheck(number)) {
+        errors.cardNumber = 'Enter a valid card number';
+    }
+    
+    if (!/^(0[1-9]|1[0-2])\/\d{2}$/.test(expiry)) {
+        errors.cardExpiry = 'Use the format MM/YY';
+    } else if (isCardExpired(expiry)) {
+        errors.cardExpiry = 'This card has expired';
+    }
+    
+    if (!/^\d{3,4}$/.test(cvc)) {
+        errors.cardCvc = 'Enter the 3 or 4 digit security code';
+    }
+    
+    return errors;
+}
+
+// ==================== MOCK ADAPTER ====================
+// Local testing only: no network calls, no real charges.
+// Card 4000 0000 0000 0002 is always declined; other valid cards succeed.
+const MOCK_DECLINED_CARD = '4000000000000002';
+const MOCK_LATENCY = 1200; // ms
+
+const mockPaymentAdapter = {
+    id: 'mock',
+    label: 'Test Card (no real charge)',
+    
+    validate(details) {
+        return validateCardDetails(details);
+    },
+    
+    async charge(paymentRequest) {
+        await new Promise(resolve => setTimeout(resolve, MOCK_LATENCY));
+        
+        const number = (paymentRequest.details.cardNumber || '').replace(/[\s-]/g, '');
+        if (number === MOCK_DECLINED_CARD) {
+            return { success: false, transactionId: null, message: 'Your card was declined' };
+        }
+        
+        return {
+            success: true,
+            transactionId: `MOCK-${Date.now().toString(36).toUpperCase()}`,
+            message: `Charged ${paymentRequest.currency} ${paymentRequest.amount.toFixed(2)}`
+        };
+    }
+};
+
+registerPaymentAdapter(mockPaymentAdapter);
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.registerPaymentAdapter = registerPaymentAdapter;
+window.getPaymentAdapter = getPaymentAdapter;
+window.setActivePaymentAdapter = setActivePaymentAdapter;
@@ -0,0 +1,128 @@
+/**
+ * Promo Code Engine
+ * Loads rule definitions from promos.json and evaluates them against the cart
+ */
+
+// ==================== CONFIGURATION ====================
+const PROMO_STORAGE_KEY = 'promoCode';
+const PROMO_TYPES = {
+    PERCENTAGE: 'percentage',
+    FIXED: 'fixed',
+    FREE_SHIPPING: 'free_shipping'
+};
+
+let promoRules = null;
+
+// ==================== LOAD FUNCTIONS ====================
+async function loadPromoRules() {
+    if (promoRules) return promoRules;
+    
+    try {
+        const response = await fetch('promos.json');
+        if (!response.ok) throw new Error('Promo rules not found');
+        promoRules = await response.json();
+    } catch (error) {
+        console.error('Error loading promo rules:', error);
+        promoRules = [];
+    }
+    
+    return promoRules;
+}
+
+// ==================== EVALUATION ====================
+/**
+ * Checks a code against the loaded rules and the current cart lines.
+ * Returns { valid, message } and, when valid, the matched rule,
+ * the discount amount and whether shipping is waived.
+ */
+function evaluatePromo(code, items, now = new Date()) {
+    const normalized = normalizePromoCode(code);
+    if (!normalized) {
+        return { valid: false, message: 'Please enter a promo code' };
+    }
+    
+    const rule = (promoRules || []).find(r => normalizePromoCode(r.code) === normalized);
+    if (!rule) {
+        return { valid: false, message: `"${normalized}" is not a valid promo code` };
+    }
+    
+    if (rule.expires && isPromoExpired(rule.expires, now)) {
+        return { valid: false, message: `${rule.code} expired on ${rule.expires}` };
+    }
+    
+    const subtotal = items.reduce((sum, item) => sum + getPromoLineTotal(item), 0);
+    if (rule.minSubtotal && subtotal < rule.minSubtotal) {
+        return {
+            valid: false,
+            message: `${rule.code} requires a subtotal of at least ${formatPrice(rule.minSubtotal)}`
+        };
+    }
+    
+    const eligible = items.filter(item => isPromoEligible(rule, item));
+    if (eligible.length === 0) {
+        return { valid: false, message: `No items in your cart qualify for ${rule.code}` };
+    }
+    
+    const eligibleSubtotal = eligible.reduce((sum, item) => sum + getPromoLineTotal(item), 0);
+    let discount = 0;
+    
+    if (rule.type === PROMO_TYPES.PERCENTAGE) {
+        discount = eligibleSubtotal * (rule.value / 100);
+    } else if (rule.type === PROMO_TYPES.FIXED) {
+        discount = Math.min(rule.value, eligibleSubtotal);
+    }
+    
+    return {
+        valid: true,
+        rule: rule,
+        discount: Math.round(discount * 100) / 100,
+        freeShipping: rule.type === PROMO_TYPES.FREE_SHIPPING,
+        message: rule.description || `${rule.code} applied`
+    };
+}
+
+function isPromoEligible(rule, item) {
+    if (rule.categories && rule.categories.length > 0 && !rule.categories.includes(item.category)) {
+        return false;
+    }
+    if (rule.brands && rule.brands.length > 0 && !rule.brands.includes(item.brand)) {
+        return false;
+    }
+    return true;
+}
+
+function isPromoExpired(expires, now) {
+    // Codes are valid through the end of their expiry day
+    const endOfDay = new Date(`${expires}T23:59:59`);
+    return isNaN(endOfDay.getTime()) || now > endOfDay;
+}
+
+function getPromoLineTotal(item) {
+    const price = typeof item.price === 'number' ? item.price :
+                  parseFloat((item.price || '0').toString().replace('$', '')) || 0;
+    return price * (item.quantity || 1);
+}
+
+function normalizePromoCode(code) {
+    return (code || '').toString().trim().toUpperCase();
+}
+
+// ==================== STORAGE ====================
+function getStoredPromoCode() {
+    return localStorage.getItem(PROMO_STORAGE_KEY);
+}
+
+function storePromoCode(code) {
+    localStorage.setItem(PROMO_STORAGE_KEY, normalizePromoCode(code));
+}
+
+function clearStoredPromoCode() {
+    localStorage.removeItem(PROMO_STORAGE_KEY);
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.loadPromoRules = loadPromoRules;
+window.evaluatePromo = evaluatePromo;
+window.getStoredPromoCode = getStoredPromoCode;
+window.storePromoCode = storePromoCode;
+window.clearStoredPromoCode = clearStoredPromoCode;
@@ -0,0 +1,53 @@
+/**
+ * Progressive Web App
+ * Registers the service worker (sw.js) and shows a banner while the
+ * browser is offline. Loaded on every page before the page script.
+ */
+
+// ==================== CONFIGURATION ====================
+const OFFLINE_BANNER_ID = 'offlineBanner';
+
+// ==================== SERVICE WORKER ====================
+// Resolved against the document base, so the pre-rendered product pages register the root worker too
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    navigator.serviceWorker.register('sw.js')
+        .catch(error => console.error('Service worker registration failed:', error));
+}
+
+// ==================== OFFLINE BANNER ====================
+function updateOfflineBanner() {
+    let banner = document.getElementById(OFFLINE_BANNER_ID);
+    
+    if (navigator.onLine) {
+        if (banner) banner.classList.add('d-none');
+        return;
+    }
+    
+    if (!banner) {
+        banner = document.createElement('div');
+        banner.id = OFFLINE_BANNER_ID;
+        banner.className = 'offline-banner alert alert-warning d-flex align-items-center gap-2 mb-0';
+        banner.setAttribute('role', 'status');
+        banner.innerHTML = `
+            <i class="fas fa-wifi"></i>
+            <span>You're offline. Showing saved pages and prices; your cart still works.</span>
+        `;
+        document.body.appendChild(banner);
+    }
+    banner.classList.remove('d-none');
+}
+
+function isOffline() {
+    return !navigator.onLine;
+}
+
+// ==================== INITIALIZATION ====================
+window.addEventListener('load', registerServiceWorker);
+document.addEventListener('DOMContentLoaded', updateOfflineBanner);
+window.addEventListener('online', updateOfflineBanner);
+window.addEventListener('offline', updateOfflineBanner);
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.isOffline = isOffline;
@@ -0,0 +1,138 @@
+/**
+ * Recently Viewed Products
+ * detail.js records each product page visit; the "Recently viewed" strip on
+ * the home page, the detail page and the empty cart renders from that
+ * history. Kept in localStorage, newest first, one entry per product.
+ */
+
+// ==================== CONFIGURATION ====================
+const RECENT_STORAGE_KEY = 'recentlyViewed';
+const MAX_RECENT_ITEMS = 12;
+
+let recentOptions = {};
+
+// ==================== STORAGE ====================
+// Entries are { id, name, image, viewedAt } so the strip renders without data.json
+function getRecentlyViewed() {
+    try {
+        const items = JSON.parse(localStorage.getItem(RECENT_STORAGE_KEY)) || [];
+        return Array.isArray(items) ? items.filter(item => item && item.id !== undefined) : [];
+    } catch (error) {
+        console.error('Error parsing recently viewed:', error);
+        return [];
+    }
+}
+
+function saveRecentlyViewed(items) {
+    localStorage.setItem(RECENT_STORAGE_KEY, JSON.stringify(items));
+    window.dispatchEvent(new CustomEvent('recentchange', { detail: { items } }));
+}
+
+// Moves the product to the front, dropping the oldest entries past the limit
+function recordRecentlyViewed(product) {
+    const items = getRecentlyViewed().filter(item => item.id !== product.id);
+    
+    items.unshift({
+        id: product.id,
+        name: product.name,
+        image: product.images[0],
+        viewedAt: new Date().toISOString()
+    });
+    saveRecentlyViewed(items.slice(0, MAX_RECENT_ITEMS));
+}
+
+function clearRecentlyViewed() {
+    saveRecentlyViewed([]);
+}
+
+// ==================== SETUP ====================
+/**
+ * Renders into #recentlyViewed. Options:
+ *   excludeId - product to leave out (the one on screen)
+ *   when      - function; the strip stays hidden while it returns false
+ * Pages can call renderRecentlyViewed() again when `when` may have changed.
+ */
+function setupRecentlyViewed(options = {}) {
+    recentOptions = options;
+    renderRecentlyViewed();
+    
+    if (setupRecentlyViewed.bound) return;
+    setupRecentlyViewed.bound = true;
+    
+    document.addEventListener('click', function(e) {
+        if (e.target.closest('#recentClearBtn')) {
+            clearRecentlyViewed();
+            return;
+        }
+        
+        const scrollButton = e.target.closest('[data-recent-scroll]');
+        if (scrollButton) scrollRecentlyViewed(parseInt(scrollButton.getAttribute('data-recent-scroll')));
+    });
+    
+    window.addEventListener('recentchange', renderRecentlyViewed);
+    
+    // Keep other open tabs in step
+    window.addEventListener('storage', e => {
+        if (e.key === RECENT_STORAGE_KEY) renderRecentlyViewed();
+    });
+}
+
+// ==================== RENDERING ====================
+function renderRecentlyViewed() {
+    const section = document.getElementById('recentlyViewed');
+    if (!section) return;
+    
+    const items = getRecentlyViewed().filter(item => item.id !== recentOptions.excludeId);
+    const visible = items.length > 0 && (!recentOptions.when || recentOptions.when());
+    
+    section.classList.toggle('d-none', !visible);
+    if (!visible) {
+        section.innerHTML = '';
+        return;
+    }
+    
+    section.innerHTML = `
+        <div class="d-flex align-items-center gap-2 mb-3">
+            <h2 class="h4 mb-0 me-auto" id="recentlyViewedTitle">Recently Viewed</h2>
+            <button type="button" class="btn btn-link btn-sm text-muted" id="recentClearBtn">Clear history</button>
+            <button type="button" class="btn btn-outline-light btn-sm" data-recent-scroll="-1"
+                    aria-label="Scroll recently viewed left">
+                <i class="fas fa-chevron-left"></i>
+            </button>
+            <button type="button" class="btn btn-outline-light btn-sm" data-recent-scroll="1"
+                    aria-label="Scroll recently viewed right">
+                <i class="fas fa-chevron-right"></i>
+            </button>
+        </div>
+        <ul class="recent-track list-unstyled d-flex gap-3 mb-0" id="recentTrack">
+            ${items.map(item => `
+                <li class="recent-item">
+                    <a href="detail.html?id=${item.id}" class="text-decoration-none text-light">
+                        <img src="${item.image}" alt="" class="recent-image mb-2" loading="lazy">
+                        <span class="recent-name small">${escapeRecentHTML(item.name)}</span>
+                    </a>
+                </li>
+            `).join('')}
+        </ul>
+    `;
+}
+
+// Scrolls the strip by roughly one screenful in the given direction
+function scrollRecentlyViewed(direction) {
+    const track = document.getElementById('recentTrack');
+    if (!track) return;
+    
+    track.scrollBy({ left: direction * track.clientWidth * 0.8, behavior: 'smooth' });
+}
+
+function escapeRecentHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.setupRecentlyViewed = setupRecentlyViewed;
+window.recordRecentlyViewed = recordRecentlyViewed;
+window.renderRecentlyViewed = renderRecentlyViewed;
+window.clearRecentlyViewed = clearRecentlyViewed;
@@ -6,12 +6,65 @@
 // Global Variables
 let allProducts = [];
 let currentProducts = [];
+let searchIndex = null;
+let searchResults = new Map(); // product id -> { score, matchedTokens } for the active query
 let searchTimeout = null;
 const DEBOUNCE_DELAY = 300; // ms
+const PRICE_STEP = 50; // price slider granularity in USD
+const PAGE_SIZE = 12; // cards rendered per "Load more"
+
+// Grid paging: cards are built once per product and reused across re-renders
+let visibleCount = PAGE_SIZE;
+const cardCache = new Map(); // product id -> { element, key }
+
+// Combined catalog filter state: every control updates this and calls applyFilters()
+const filterState = {
+    query: '',
+    categories: [],
+    brands: [],
+    specs: {}, // spec key (see specs.js) -> selected values
+    minPrice: null,
+    maxPrice: null
+};
+
+// Grid sort orders; "relevance" is only offered while a search is active
+const DEFAULT_SORT = 'featured';
+const SORT_OPTIONS = {
+    featured: (a, b) => 0,
+    relevance: (a, b) => getRelevanceScore(b) - getRelevanceScore(a),
+    'price-asc': (a, b) => a.price - b.price,
+    'price-desc': (a, b) => b.price - a.price,
+    'name-asc': (a, b) => a.name.localeCompare(b.name),
+    brand: (a, b) => a.brand.localeCompare(b.brand) || a.name.localeCompare(b.name),
+    newest: (a, b) => b.id - a.id
+};
+let currentSort = DEFAULT_SORT;
+
+// Catalog state mirrored in the query string, e.g. ?q=sigma&category=Camera%20Lenses
+const URL_PARAMS = {
+    query: 'q',
+    category: 'category',
+    brand: 'brand',
+    minPrice: 'min',
+    maxPrice: 'max',
+    sort: 'sort'
+};
+let lastHistorySource = null;
+
+// Slider bounds derived from the catalog
+const priceBounds = {
+    min: 0,
+    max: 0
+};
 
 // Cache DOM Elements
 const domCache = {
     productsContainer: null,
+    filterSidebar: null,
+    sortSelect: null,
+    resultsCount: null,
+    loadMore: null,
+    loadMoreBtn: null,
     searchInput: null,
     mobileSearchInput: null,
     cartCount: null
@@ -24,11 +77,14 @@ async function initializeApp() {
     try {
         console.log('Initializing LensForge...');
         
+        // Load exchange rates so prices render in the chosen currency
+        await loadExchangeRates();
+        
         // Load navbar first
         await loadNavbar();
         
-        // Load hero section
-        await loadHero();
+        // Load hero section and footer
+        await Promise.all([loadHero(), loadFooter()]);
         
         // Load products data
         await loadProducts();
@@ -36,6 +92,9 @@ async function initializeApp() {
         // Setup categories functionality
         setupCategories();
         
+        // Products viewed on earlier visits
+        setupRecentlyViewed();
+        
         // Initialize cart count
         updateCartCount();
         
@@ -58,6 +117,10 @@ async function loadNavbar() {
         
         // Cache DOM elements after navbar loads
         cacheDOMElements();
+        setupCurrencySelector();
+        setupSearchSuggestions();
+        setupCompare();
+        setupWishlist();
         
         // Setup event listeners
         setupEventListeners();
@@ -82,6 +145,18 @@ async function loadHero() {
     }
 }
 
+async function loadFooter() {
+    try {
+        const response = await fetch('footer.html');
+        if (!response.ok) throw new Error('Footer not found');
+        
+        const html = await response.text();
+        document.getElementById('footer').innerHTML = html;
+    } catch (error) {
+        console.error(' Error loading footer:', error);
+    }
+}
+
 async function loadProducts() {
     try {
         console.log(' Loading products...');
@@ -113,9 +188,17 @@ async function loadProducts() {
         // Store products globally
         allProducts = products;
         currentProducts = [...products];
+        searchIndex = buildSearchIndex(products);
+        
+        // Build the filter sidebar from the catalog
+        renderFilterSidebar();
+        
+        // Shared links, bookmarks and Back from a product carry the catalog state in the URL
+        restoreStateFromURL();
+        window.addEventListener('popstate', handlePopState);
         
         // Display products
-        showProducts(products);
+        applyFilters({ updateHistory: false });
         
     } catch (error) {
         console.error(' Error loading products:', error);
@@ -126,6 +209,11 @@ async function loadProducts() {
 // ==================== DOM CACHING ====================
 function cacheDOMElements() {
     domCache.productsContainer = document.getElementById('products');
+    domCache.filterSidebar = document.getElementById('filterSidebar');
+    domCache.sortSelect = document.getElementById('sortSelect');
+    domCache.resultsCount = document.getElementById('resultsCount');
+    domCache.loadMore = document.getElementById('loadMore');
+    domCache.loadMoreBtn = document.getElementById('loadMoreBtn');
     domCache.searchInput = document.getElementById('searchInput');
     domCache.mobileSearchInput = document.getElementById('mobileSearchInput');
     domCache.cartCount = document.getElementById('cartCount');
@@ -154,6 +242,31 @@ function setupEventListeners() {
         console.log(' Mobile search listener added');
     }
     
+    // Enter / suggestion picks from the navbar search (see suggestions.js)
+    window.addEventListener('searchsubmit', handleSearchSubmit);
+    
+    // Re-render prices when the currency changes
+    window.addEventListener('currencychange', () => {
+        showProducts(currentProducts);
+        updatePriceLabels();
+    });
+    
+    // Sort control
+    if (domCache.sortSelect) {
+        domCache.sortSelect.addEventListener('change', handleSortChange);
+    }
+    
+    // Next page of results
+    if (domCache.loadMoreBtn) {
+        domCache.loadMoreBtn.addEventListener('click', handleLoadMore);
+    }
+    
+    // Cards with several images show the next one on hover
+    if (domCache.productsContainer) {
+        domCache.productsContainer.addEventListener('mouseover', handleCardImageHover);
+        domCache.productsContainer.addEventListener('mouseout', handleCardImageHover);
+    }
+    
     // Category filters
     const categoryLinks = document.querySelectorAll('.nav-link[data-category]');
     if (categoryLinks.length > 0) {
@@ -169,12 +282,51 @@ function handleSearch(e) {
     clearTimeout(searchTimeout);
     
     searchTimeout = setTimeout(() => {
-        const query = e.target.value.toLowerCase().trim();
+        const query = e.target.value.trim();
         console.log(` Searching for: "${query}"`);
         filterProducts(query);
     }, DEBOUNCE_DELAY);
 }
 
+function handleSearchSubmit(e) {
+    // Handled here, so suggestions.js doesn't navigate away
+    e.preventDefault();
+    clearTimeout(searchTimeout);
+    
+    const { type, value } = e.detail;
+    setSearchInputs(type === 'search' ? value : '');
+    filterState.query = type === 'search' ? value : '';
+    
+    if (type === 'brand') filterState.brands = [value];
+    if (type === 'category') filterState.categories = [value];
+    
+    syncFilterControls();
+    applyFilters();
+    
+    if (domCache.productsContainer) {
+        domCache.productsContainer.scrollIntoView({ behavior: 'smooth' });
+    }
+}
+
+function handleLoadMore() {
+    visibleCount += PAGE_SIZE;
+    showProducts(currentProducts);
+}
+
+function handleCardImageHover(e) {
+    const image = e.target.closest('img[data-hover-image]');
+    if (!image || image.contains(e.relatedTarget)) return;
+    
+    const entering = e.type === 'mouseover';
+    image.src = image.getAttribute(entering ? 'data-hover-image' : 'data-image');
+}
+
+function handleSortChange(e) {
+    currentSort = SORT_OPTIONS[e.target.value] ? e.target.value : DEFAULT_SORT;
+    // Kept in the URL so Back from a product keeps the order
+    applyFilters();
+}
+
 function handleCategoryFilter(e) {
     e.preventDefault();
     
@@ -190,36 +342,22 @@ function handleCategoryFilter(e) {
     this.classList.add('active');
     
     // Filter products
-    const filtered = category === 'All' 
-        ? allProducts 
-        : allProducts.filter(p => p.category === category);
-    
-    currentProducts = filtered;
-    showProducts(filtered);
+    setCategoryFilter(category);
 }
 
 // ==================== PRODUCT FUNCTIONS ====================
 function filterProducts(query) {
     console.log(` Filtering products with query: "${query}"`);
     
-    if (!query) {
-        currentProducts = [...allProducts];
-        showProducts(allProducts);
-        return;
-    }
-    
-    const filtered = allProducts.filter(product => 
-        product.name.toLowerCase().includes(query) ||
-        product.brand.toLowerCase().includes(query) ||
-        product.category.toLowerCase().includes(query) ||
-        (product.summary && product.summary.toLowerCase().includes(query))
-    );
-    
-    console.log(` Found ${filtered.length} products matching "${query}"`);
-    currentProducts = filtered;
-    showProducts(filtered);
+    filterState.query = query;
+    // Typing refines one history entry rather than adding one per keystroke
+    applyFilters({ source: 'query' });
 }
 
+/**
+ * Renders the first `visibleCount` products. Existing cards are reused and
+ * only moved, added or removed as needed, so filtering doesn't rebuild the grid.
+ */
 function showProducts(products) {
     if (!domCache.productsContainer) {
         console.error('Products container not found in showProducts!');
@@ -227,6 +365,7 @@ function showProducts(products) {
     }
     
     console.log(` Displaying ${products.length} products`);
+    updatePagination(products.length);
     
     if (products.length === 0) {
         domCache.productsContainer.innerHTML = `
@@ -234,34 +373,81 @@ function showProducts(products) {
                 <i class="fas fa-search fa-3x text-muted mb-3"></i>
                 <h4 class="text-muted">No products found</h4>
                 <p class="text-muted">Try adjusting your search or filter</p>
-                <button onclick="showProducts(allProducts)" class="btn btn-warning mt-3">
-                    Show All Products
+                <button onclick="clearAllFilters()" class="btn btn-warning mt-3">
+                    Clear Filters
                 </button>
             </div>
         `;
         return;
     }
     
-    // Clear container
-    domCache.productsContainer.innerHTML = '';
+    // Create the grid row once; it replaces the loading or empty state
+    let row = domCache.productsContainer.querySelector('.product-grid');
+    if (!row) {
+        domCache.productsContainer.innerHTML = '';
+        row = document.createElement('div');
+        row.className = 'row product-grid';
+        domCache.productsContainer.appendChild(row);
+    }
     
-    // Create row container
-    const row = document.createElement('div');
-    row.className = 'row';
+    const visible = products.slice(0, visibleCount);
     
-    // Add product cards
-    products.forEach((product, index) => {
-        const productHTML = createProductCard(product);
-        const col = document.createElement('div');
-        col.className = 'col-md-6 col-lg-4 col-xl-3 mb-4';
-        col.innerHTML = productHTML;
-        row.appendChild(col);
+    visible.forEach((product, index) => {
+        const col = getProductCardElement(product);
+        if (row.children[index] !== col) {
+            row.insertBefore(col, row.children[index] || null);
+        }
     });
     
-    // Append to container
-    domCache.productsContainer.appendChild(row);
+    // Drop cards that are no longer in the visible results
+    while (row.children.length > visible.length) {
+        row.lastElementChild.remove();
+    }
+    
+    // Reused cards may have been added to or removed from compare or the wishlist meanwhile
+    syncCompareButtons();
+    syncWishlistButtons();
+    
+    console.log(` ${visible.length} of ${products.length} products displayed`);
+}
+
+// Cached card for a product, re-rendered only when its currency or highlighting changed
+function getProductCardElement(product) {
+    const result = searchResults.get(product.id);
+    const key = `${getCurrency()}|${result ? [...result.matchedTokens].join(',') : ''}`;
+    let cached = cardCache.get(product.id);
+    
+    if (!cached) {
+        const col = document.createElement('div');
+        col.className = 'col-md-6 col-xl-4 mb-4';
+        cached = { element: col, key: null };
+        cardCache.set(product.id, cached);
+    }
+    
+    if (cached.key !== key) {
+        cached.element.innerHTML = createProductCard(product);
+        cached.key = key;
+    }
     
-    console.log(` ${products.length} products displayed successfully`);
+    return cached.element;
+}
+
+function updatePagination(total) {
+    const shown = Math.min(visibleCount, total);
+    
+    if (domCache.resultsCount) {
+        domCache.resultsCount.textContent = total > 0
+            ? `Showing 1–${shown} of ${total}`
+            : '';
+    }
+    
+    if (domCache.loadMore) {
+        domCache.loadMore.classList.toggle('d-none', shown >= total);
+    }
+    if (domCache.loadMoreBtn) {
+        const next = Math.min(PAGE_SIZE, total - shown);
+        domCache.loadMoreBtn.innerHTML = `<i class="fas fa-plus me-2"></i> Load ${next} more`;
+    }
 }
 
 function createProductCard(product) {
@@ -272,19 +458,25 @@ function createProductCard(product) {
                      class="card-img-top" 
                      alt="${product.name}"
                      loading="lazy"
-                     height="240">
+                     height="240"
+                     ${product.images.length > 1 ? `data-image="${product.images[0]}" data-hover-image="${product.images[1]}"` : ''}>
                 <span class="badge bg-dark position-absolute top-0 start-0 m-2">
                     ${product.brand}
                 </span>
+                <div class="position-absolute top-0 end-0 m-2 d-flex gap-1">
+                    ${renderWishlistButton(product, 'btn btn-dark btn-sm')}
+                    ${renderCompareButton(product, 'btn btn-dark btn-sm')}
+                </div>
             </div>
             
             <div class="card-body d-flex flex-column">
-                <h5 class="card-title">${product.name}</h5>
-                <p class="card-text text-muted flex-grow-1">${product.summary}</p>
+                <h5 class="card-title">${highlightSearchMatches(product, product.name)}</h5>
+                <p class="card-text text-muted flex-grow-1">${highlightSearchMatches(product, product.summary)}</p>
                 
                 <div class="mt-auto">
+                    <div class="mb-2">${renderStockBadge(product)}</div>
                     <div class="d-flex justify-content-between align-items-center">
-                        <strong class="price fs-5">${product.displayPrice || `$${product.price}`}</strong>
+                        <strong class="price fs-5">${formatPrice(product.price, { wholeUnits: true })}</strong>
                         <a href="detail.html?id=${product.id}" 
                            class="btn btn-outline-warning btn-sm">
                             <i class="fas fa-eye me-1"></i> View
@@ -299,11 +491,16 @@ function createProductCard(product) {
 function showProductsError() {
     if (!domCache.productsContainer) return;
     
+    // Only reached offline when the catalog was never cached (first visit)
+    const message = isOffline()
+        ? `You're offline and the catalog hasn't been saved on this device yet. Reconnect to browse.`
+        : 'Something went wrong loading the catalog. Please try again in a moment.';
+    
     domCache.productsContainer.innerHTML = `
         <div class="col-12 text-center py-5">
             <i class="fas fa-exclamation-triangle fa-3x text-danger mb-3"></i>
             <h4 class="text-danger">Failed to load products</h4>
-            <p class="text-muted mb-4">Please check your data.json file</p>
+            <p class="text-muted mb-4">${message}</p>
             <button onclick="location.reload()" class="btn btn-warning mt-2">
                 <i class="fas fa-redo me-1"></i> Try Again
             </button>
@@ -326,12 +523,7 @@ function setupCategories() {
                 console.log(` Category selected: ${category}`);
                 
                 // Filter products
-                const filtered = category === 'All' 
-                    ? allProducts 
-                    : allProducts.filter(p => p.category === category);
-                
-                // Show filtered products
-                showProducts(filtered);
+                setCategoryFilter(category);
                 
                 // Update active state in navbar
                 document.querySelectorAll('.nav-link').forEach(link => {
@@ -358,14 +550,10 @@ function setupCategories() {
 }
 
 function updateCategoryCounts() {
-    const counts = {
-        'All': allProducts.length,
-        'Cameras': allProducts.filter(p => p.category === 'Cameras').length,
-        'Camera Lenses': allProducts.filter(p => p.category === 'Camera Lenses').length,
-        'Lighting & Studio': allProducts.filter(p => p.category === 'Lighting & Studio').length,
-        'Tripods & Supports': allProducts.filter(p => p.category === 'Tripods & Supports').length,
-        'Accessories': allProducts.filter(p => p.category === 'Accessories').length
-    };
+    const counts = { 'All': allProducts.length };
+    getFacetValues('category').forEach(category => {
+        counts[category] = allProducts.filter(p => p.category === category).length;
+    });
     
     console.log(' Category counts:', counts);
     
@@ -379,26 +567,398 @@ function updateCategoryCounts() {
     });
 }
 
-// ==================== CART FUNCTIONS ====================
-function updateCartCount() {
-    try {
-        const cart = JSON.parse(localStorage.getItem('cart')) || [];
-        const count = cart.length;
-        
-        console.log(` Cart count: ${count} items`);
-        
-        // Update all cart count elements
-        const cartBadges = document.querySelectorAll('#cartCount, .cart-count');
-        cartBadges.forEach(badge => {
-            badge.textContent = count;
-            badge.classList.toggle('d-none', count === 0);
+// ==================== FILTERS ====================
+/**
+ * Re-renders the grid from filterState and records it in the URL.
+ * Consecutive changes from the same `source` (typing, dragging a slider)
+ * replace the current history entry instead of pushing a new one.
+ */
+function applyFilters({ updateHistory = true, source = null } = {}) {
+    // New results start again from the first page
+    visibleCount = PAGE_SIZE;
+    updateSearchResults();
+    currentProducts = sortProducts(allProducts.filter(product => matchesFilters(product)));
+    
+    console.log(` Found ${currentProducts.length} products matching filters`, filterState);
+    showProducts(currentProducts);
+    updateFacetCounts();
+    updateSortControl();
+    
+    if (updateHistory) updateURL(source);
+}
+
+/**
+ * Checks a product against the filter state. Pass a facet name as `except`
+ * to ignore that facet, which is how per-facet counts are worked out.
+ */
+function matchesFilters(product, except = null) {
+    if (except !== 'query' && filterState.query && !matchesQuery(product)) {
+        return false;
+    }
+    const failsFacet = getFilterFacets().some(facet => {
+        const selected = getFacetSelection(facet);
+        return except !== facet && selected.length > 0 &&
+            !getProductFacetValues(product, facet).some(value => selected.includes(value));
+    });
+    if (failsFacet) {
+        return false;
+    }
+    if (except !== 'price') {
+        if (filterState.minPrice !== null && product.price < filterState.minPrice) return false;
+        if (filterState.maxPrice !== null && product.price > filterState.maxPrice) return false;
+    }
+    return true;
+}
+
+function matchesQuery(product) {
+    return searchResults.has(product.id);
+}
+
+// Category, brand, then the spec facets declared in specs.js (e.g. "mount")
+function getFilterFacets() {
+    return ['category', 'brand', ...getSpecFacets().map(facet => facet.key)];
+}
+
+function getFacetSelection(facet) {
+    if (facet === 'category') return filterState.categories;
+    if (facet === 'brand') return filterState.brands;
+    return filterState.specs[facet] || [];
+}
+
+function setFacetSelection(facet, values) {
+    if (facet === 'category') filterState.categories = values;
+    else if (facet === 'brand') filterState.brands = values;
+    else filterState.specs[facet] = values;
+}
+
+function getProductFacetValues(product, facet) {
+    if (facet === 'category' || facet === 'brand') return [product[facet]];
+    return getSpecFacetValues(product, facet);
+}
+
+function getFacetValues(facet) {
+    const values = allProducts.flatMap(product => getProductFacetValues(product, facet));
+    return [...new Set(values)].sort((a, b) => a.localeCompare(b));
+}
+
+function setCategoryFilter(category) {
+    filterState.categories = category === 'All' ? [] : [category];
+    syncFilterControls();
+    applyFilters();
+}
+
+function clearAllFilters() {
+    filterState.query = '';
+    filterState.categories = [];
+    filterState.brands = [];
+    filterState.specs = {};
+    filterState.minPrice = null;
+    filterState.maxPrice = null;
+    
+    setSearchInputs('');
+    syncFilterControls();
+    applyFilters();
+}
+
+function setSearchInputs(value) {
+    [domCache.searchInput, domCache.mobileSearchInput].forEach(input => {
+        if (input) input.value = value;
+    });
+}
+
+function hasActiveFilters() {
+    return !!filterState.query ||
+        filterState.categories.length > 0 ||
+        filterState.brands.length > 0 ||
+        Object.values(filterState.specs).some(values => values.length > 0) ||
+        filterState.minPrice !== null ||
+        filterState.maxPrice !== null;
+}
+
+// ==================== SEARCH ====================
+// Re-ranks the catalog for the current query (see search.js)
+function updateSearchResults() {
+    searchResults = new Map();
+    if (!filterState.query || !searchIndex) return;
+    
+    searchProducts(searchIndex, filterState.query).forEach(result => {
+        searchResults.set(result.product.id, {
+            score: result.score,
+            matchedTokens: result.matchedTokens
         });
-        
-        return count;
-    } catch (error) {
-        console.error(' Error updating cart count:', error);
-        return 0;
+    });
+}
+
+// Escaped text with the words that matched the search wrapped in <mark>
+function highlightSearchMatches(product, text) {
+    const result = searchResults.get(product.id);
+    return highlightMatches(text, result ? result.matchedTokens : null);
+}
+
+// ==================== URL STATE ====================
+function getStateParams() {
+    const params = new URLSearchParams();
+    
+    if (filterState.query) params.set(URL_PARAMS.query, filterState.query);
+    filterState.categories.forEach(category => params.append(URL_PARAMS.category, category));
+    filterState.brands.forEach(brand => params.append(URL_PARAMS.brand, brand));
+    // Spec filters use their spec key as the parameter, e.g. ?mount=Sony%20E
+    getSpecFacets().forEach(({ key }) => {
+        getFacetSelection(key).forEach(value => params.append(key, value));
+    });
+    if (filterState.minPrice !== null) params.set(URL_PARAMS.minPrice, filterState.minPrice);
+    if (filterState.maxPrice !== null) params.set(URL_PARAMS.maxPrice, filterState.maxPrice);
+    if (currentSort !== DEFAULT_SORT) params.set(URL_PARAMS.sort, currentSort);
+    
+    return params;
+}
+
+function updateURL(source) {
+    const search = getStateParams().toString();
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    
+    if (`?${search}` === (window.location.search || '?')) {
+        lastHistorySource = source;
+        return;
+    }
+    
+    if (source && source === lastHistorySource) {
+        history.replaceState(null, '', url);
+    } else {
+        history.pushState(null, '', url);
+    }
+    lastHistorySource = source;
+}
+
+/**
+ * Replaces filterState (and the sort) with what the URL describes.
+ * Unknown categories/brands and malformed prices are ignored.
+ */
+function restoreStateFromURL() {
+    const params = new URLSearchParams(window.location.search);
+    const categories = getFacetValues('category');
+    const brands = getFacetValues('brand');
+    
+    filterState.query = (params.get(URL_PARAMS.query) || '').trim();
+    filterState.categories = params.getAll(URL_PARAMS.category).filter(c => categories.includes(c));
+    filterState.brands = params.getAll(URL_PARAMS.brand).filter(b => brands.includes(b));
+    filterState.specs = {};
+    getSpecFacets().forEach(({ key }) => {
+        const values = getFacetValues(key);
+        setFacetSelection(key, params.getAll(key).filter(value => values.includes(value)));
+    });
+    filterState.minPrice = parsePriceParam(params.get(URL_PARAMS.minPrice));
+    filterState.maxPrice = parsePriceParam(params.get(URL_PARAMS.maxPrice));
+    
+    const sort = params.get(URL_PARAMS.sort);
+    currentSort = sort && SORT_OPTIONS[sort] ? sort : DEFAULT_SORT;
+    
+    setSearchInputs(filterState.query);
+    syncFilterControls();
+}
+
+function parsePriceParam(value) {
+    const price = parseInt(value);
+    if (isNaN(price) || price <= priceBounds.min || price >= priceBounds.max) return null;
+    return price;
+}
+
+function handlePopState() {
+    clearTimeout(searchTimeout);
+    lastHistorySource = null;
+    restoreStateFromURL();
+    applyFilters({ updateHistory: false });
+}
+
+// ==================== SORTING ====================
+function getActiveSort() {
+    // Relevance needs a query; searches rank by relevance unless another order was picked
+    if (currentSort === 'relevance' && !filterState.query) return DEFAULT_SORT;
+    if (currentSort === DEFAULT_SORT && filterState.query) return 'relevance';
+    return currentSort;
+}
+
+function sortProducts(products) {
+    const compare = SORT_OPTIONS[getActiveSort()];
+    // Array.prototype.sort is stable, so ties keep catalog order
+    return [...products].sort(compare);
+}
+
+function getRelevanceScore(product) {
+    const result = searchResults.get(product.id);
+    return result ? result.score : 0;
+}
+
+function updateSortControl() {
+    if (!domCache.sortSelect) return;
+    
+    const relevanceOption = domCache.sortSelect.querySelector('option[value="relevance"]');
+    if (relevanceOption) relevanceOption.disabled = !filterState.query;
+    
+    domCache.sortSelect.value = getActiveSort();
+}
+
+// ==================== FILTER SIDEBAR ====================
+function renderFilterSidebar() {
+    if (!domCache.filterSidebar || allProducts.length === 0) return;
+    
+    const prices = allProducts.map(p => p.price);
+    priceBounds.min = Math.floor(Math.min(...prices) / PRICE_STEP) * PRICE_STEP;
+    priceBounds.max = Math.ceil(Math.max(...prices) / PRICE_STEP) * PRICE_STEP;
+    
+    domCache.filterSidebar.innerHTML = `
+        <div class="filter-panel card border-0 p-3">
+            <div class="d-flex justify-content-between align-items-center mb-3">
+                <h5 class="mb-0"><i class="fas fa-sliders-h me-2"></i> Filters</h5>
+                <button type="button" class="btn btn-link btn-sm text-warning p-0" id="clearFiltersBtn" disabled>
+                    Clear all
+                </button>
+            </div>
+            
+            <div class="filter-group mb-3">
+                <h6 class="filter-heading">Category</h6>
+                ${renderFacetOptions('category')}
+            </div>
+            
+            <div class="filter-group mb-3">
+                <h6 class="filter-heading">Price</h6>
+                <div class="d-flex justify-content-between small mb-1">
+                    <span id="priceMinLabel"></span>
+                    <span id="priceMaxLabel"></span>
+                </div>
+                <input type="range" class="form-range price-range" id="priceMin"
+                       min="${priceBounds.min}" max="${priceBounds.max}" step="${PRICE_STEP}"
+                       value="${priceBounds.min}" aria-label="Minimum price">
+                <input type="range" class="form-range price-range" id="priceMax"
+                       min="${priceBounds.min}" max="${priceBounds.max}" step="${PRICE_STEP}"
+                       value="${priceBounds.max}" aria-label="Maximum price">
+            </div>
+            
+            <div class="filter-group">
+                <h6 class="filter-heading">Brand</h6>
+                <div class="brand-options">
+                    ${renderFacetOptions('brand')}
+                </div>
+            </div>
+            
+            ${getSpecFacets().map(facet => `
+                <div class="filter-group mt-3">
+                    <h6 class="filter-heading">${facet.label}</h6>
+                    <div class="brand-options">
+                        ${renderFacetOptions(facet.key)}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+    
+    domCache.filterSidebar.addEventListener('change', handleFacetChange);
+    domCache.filterSidebar.addEventListener('input', handlePriceInput);
+    document.getElementById('clearFiltersBtn').addEventListener('click', clearAllFilters);
+    
+    updatePriceLabels();
+    updateFacetCounts();
+}
+
+function renderFacetOptions(facet) {
+    return getFacetValues(facet).map((value, index) => `
+        <div class="form-check facet-option">
+            <input class="form-check-input" type="checkbox" id="${facet}-${index}"
+                   data-facet="${facet}" value="${value.replace(/"/g, '&quot;')}">
+            <label class="form-check-label d-flex justify-content-between" for="${facet}-${index}">
+                <span>${value}</span>
+                <span class="facet-count badge rounded-pill" data-count-for="${facet}-${index}">0</span>
+            </label>
+        </div>
+    `).join('');
+}
+
+function handleFacetChange(e) {
+    const facet = e.target.getAttribute('data-facet');
+    if (!facet) return;
+    
+    const values = new Set(getFacetSelection(facet));
+    
+    if (e.target.checked) {
+        values.add(e.target.value);
+    } else {
+        values.delete(e.target.value);
     }
+    
+    setFacetSelection(facet, [...values]);
+    applyFilters();
+}
+
+function handlePriceInput(e) {
+    if (!e.target.classList.contains('price-range')) return;
+    
+    const minInput = document.getElementById('priceMin');
+    const maxInput = document.getElementById('priceMax');
+    let min = parseInt(minInput.value);
+    let max = parseInt(maxInput.value);
+    
+    // Keep the handles from crossing
+    if (min > max) {
+        if (e.target === minInput) {
+            max = min;
+            maxInput.value = max;
+        } else {
+            min = max;
+            minInput.value = min;
+        }
+    }
+    
+    filterState.minPrice = min > priceBounds.min ? min : null;
+    filterState.maxPrice = max < priceBounds.max ? max : null;
+    
+    updatePriceLabels();
+    applyFilters({ source: 'price' });
+}
+
+function updatePriceLabels() {
+    const minLabel = document.getElementById('priceMinLabel');
+    const maxLabel = document.getElementById('priceMaxLabel');
+    if (!minLabel || !maxLabel) return;
+    
+    minLabel.textContent = formatPrice(filterState.minPrice ?? priceBounds.min, { wholeUnits: true });
+    maxLabel.textContent = formatPrice(filterState.maxPrice ?? priceBounds.max, { wholeUnits: true });
+}
+
+// Live counts: how many products each option would show given the other facets
+function updateFacetCounts() {
+    if (!domCache.filterSidebar) return;
+    
+    getFilterFacets().forEach(facet => {
+        const pool = allProducts.filter(product => matchesFilters(product, facet));
+        
+        domCache.filterSidebar.querySelectorAll(`input[data-facet="${facet}"]`).forEach(input => {
+            const count = pool.filter(product => getProductFacetValues(product, facet).includes(input.value)).length;
+            const badge = domCache.filterSidebar.querySelector(`[data-count-for="${input.id}"]`);
+            if (badge) badge.textContent = count;
+            
+            input.disabled = count === 0 && !input.checked;
+            input.closest('.facet-option').classList.toggle('opacity-50', input.disabled);
+        });
+    });
+    
+    const clearButton = document.getElementById('clearFiltersBtn');
+    if (clearButton) clearButton.disabled = !hasActiveFilters();
+}
+
+// Reflect filterState in the sidebar controls (after navbar or clear-all changes)
+function syncFilterControls() {
+    if (!domCache.filterSidebar) return;
+    
+    domCache.filterSidebar.querySelectorAll('input[data-facet]').forEach(input => {
+        input.checked = getFacetSelection(input.getAttribute('data-facet')).includes(input.value);
+    });
+    
+    const minInput = document.getElementById('priceMin');
+    const maxInput = document.getElementById('priceMax');
+    if (minInput) minInput.value = filterState.minPrice ?? priceBounds.min;
+    if (maxInput) maxInput.value = filterState.maxPrice ?? priceBounds.max;
+    
+    updatePriceLabels();
 }
 
 // ==================== TOAST NOTIFICATIONS ====================
@@ -494,15 +1054,8 @@ function showError(message) {
 
 // ==================== GLOBAL FUNCTIONS ====================
 // Make functions available globally
-window.updateCartCount = updateCartCount;
 window.showToast = showToast;
 window.showProducts = showProducts;
-window.getCart = function() {
-    return JSON.parse(localStorage.getItem('cart')) || [];
-};
-window.clearCart = function() {
-    localStorage.removeItem('cart');
-    updateCartCount();
-};
+window.clearAllFilters = clearAllFilters;
 
 console.log(' script.js loaded successfully');
@@ -0,0 +1,211 @@
+/**
+ * Build Script - Sitemap and Pre-rendered Product Pages
+ *
+ * Usage: node scripts/build.js
+ *
+ * Reads data.json and writes:
+ *   sitemap.xml          home, every category and every product, with lastmod
+ *   products/<slug>.html one static page per product, built from detail.html
+ *                        with the navbar and footer inlined
+ *
+ * The product pages carry the same title, meta tags and JSON-LD as detail.js
+ * sets at runtime (both come from seo.js), and detail.js hydrates them in the
+ * browser. Run before deploying; the Pages workflow does this automatically.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { ROOT, readFile, readJSON, loadBrowserModules } = require('./shared');
+
+// ==================== CONFIGURATION ====================
+const OUTPUT_DIR = path.join(ROOT, 'products');
+const SITEMAP_FILE = path.join(ROOT, 'sitemap.xml');
+
+// Browser modules the build reuses; they only touch `window` when loaded
+const SHARED_MODULES = ['specs.js', 'stock.js', 'seo.js'];
+
+// ==================== MAIN ====================
+function main() {
+    const products = readJSON('data.json');
+    const shared = loadBrowserModules(SHARED_MODULES);
+    const catalogDate = getLastModified('data.json');
+    
+    const template = readFile('detail.html');
+    const partials = {
+        navbar: getPartialBody(readFile('navbar.html')),
+        footer: getPartialBody(readFile('footer.html'))
+    };
+    
+    // Start clean so renamed or removed products don't leave stale pages behind
+    fs.rmSync(OUTPUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+    
+    products.forEach(product => {
+        const file = path.join(OUTPUT_DIR, `${shared.getProductSlug(product)}.html`);
+        fs.writeFileSync(file, renderProductPage(template, partials, product, shared));
+    });
+    console.log(`Wrote ${products.length} product pages to ${path.relative(ROOT, OUTPUT_DIR)}/`);
+    
+    fs.writeFileSync(SITEMAP_FILE, renderSitemap(products, shared, catalogDate));
+    console.log(`Wrote ${path.relative(ROOT, SITEMAP_FILE)}`);
+}
+
+// ==================== LOADING ====================
+// Partials may be full HTML documents; only their <body> content is inlined.
+// Scripts are dropped: fetched partials never run theirs, and the static
+// pages should behave the same (footer.js and friends are loaded by the page).
+function getPartialBody(html) {
+    const match = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+    return (match ? match[1] : html).replace(/<script\b[\s\S]*?<\/script>/gi, '').trim();
+}
+
+// Last commit touching the file, or its mtime outside a git checkout
+function getLastModified(file) {
+    try {
+        const date = execFileSync('git', ['log', '-1', '--format=%cI', '--', file], { cwd: ROOT, encoding: 'utf8' }).trim();
+        if (date) return date;
+    } catch (error) {
+        // Not a git checkout
+    }
+    return fs.statSync(path.join(ROOT, file)).mtime.toISOString();
+}
+
+// ==================== PRODUCT PAGES ====================
+function renderProductPage(template, partials, product, shared) {
+    const metadata = shared.getProductMetadata(product);
+    let html = template;
+    
+    // Pages live one folder down; resolve scripts, images, partials and data.json from the site root
+    html = replaceOnce(html, '<meta charset="UTF-8">', '<meta charset="UTF-8">\n    <base href="../">');
+    
+    html = html.replace(/<title>[\s\S]*?<\/title>/, `<title>${escapeHTML(metadata.title)}</title>`);
+    html = html.replace(/<link rel="canonical" href="[^"]*">/, `<link rel="canonical" href="${escapeHTML(metadata.canonical)}">`);
+    metadata.meta.forEach(({ attribute, key, content }) => {
+        html = setMetaTag(html, attribute, key, content);
+    });
+    
+    // "</" inside the JSON would end the script element early
+    const json = JSON.stringify(metadata.structuredData, null, 2).replace(/</g, '\\u003c');
+    html = replaceOnce(html, '</head>', `    <script type="application/ld+json" id="productStructuredData">\n${json}\n    </script>\n</head>`);
+    
+    // detail.js reads the id from here and skips its loading state
+    html = replaceOnce(html, '<body class="bg-dark text-light">', `<body class="bg-dark text-light" data-product-id="${product.id}">`);
+    html = replaceOnce(html, '<div id="navbar"></div>', `<div id="navbar">\n${partials.navbar}\n    </div>`);
+    html = replaceOnce(html, '<div id="footer"></div>', `<div id="footer">\n${partials.footer}\n    </div>`);
+    html = replaceOnce(html, '<div id="loadingState" class="text-center py-5">', '<div id="loadingState" class="text-center py-5 d-none">');
+    html = html.replace(/<div id="productDetail" class="d-none">[\s\S]*?<\/div>/, `<div id="productDetail">\n${renderStaticProduct(product, shared)}\n        </div>`);
+    
+    return html;
+}
+
+// Markup crawlers and no-JS visitors see; detail.js replaces it with the interactive view
+function renderStaticProduct(product, shared) {
+    const specs = shared.getProductSpecs(product);
+    const price = new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD', maximumFractionDigits: 0 })
+        .format(product.price);
+    
+    return `
+            <nav aria-label="breadcrumb">
+                <ol class="breadcrumb">
+                    <li class="breadcrumb-item"><a href="index.html" class="text-warning text-decoration-none">Home</a></li>
+                    <li class="breadcrumb-item"><a href="index.html?category=${encodeURIComponent(product.category)}"
+                            class="text-warning text-decoration-none">${escapeHTML(product.category)}</a></li>
+                    <li class="breadcrumb-item active text-light" aria-current="page">${escapeHTML(product.name)}</li>
+                </ol>
+            </nav>
+            <div class="row g-4">
+                <div class="col-lg-6">
+                    <img src="${escapeHTML(product.images[0])}" class="img-fluid rounded-3" alt="${escapeHTML(product.name)}">
+                </div>
+                <div class="col-lg-6">
+                    <div class="product-info">
+                        <span class="badge bg-warning text-dark fs-6 mb-2">${escapeHTML(product.brand)}</span>
+                        <h1 class="display-5 fw-bold mb-3">${escapeHTML(product.name)}</h1>
+                        <p class="lead text-warning mb-3">${escapeHTML(product.summary)}</p>
+                        <div class="price-section mb-4">
+                            <h2 class="text-warning fw-bold">${price}</h2>
+                            ${shared.renderStockBadge(product, 'fs-6')}
+                        </div>
+                        <div class="details-section mb-4">
+                            <h4 class="mb-3">Product Details</h4>
+                            <p class="text-light">${escapeHTML(product.details)}</p>
+                        </div>
+                        ${specs.length > 0 ? `
+                        <div class="specs-section mb-4">
+                            <h4 class="mb-3">Specifications</h4>
+                            <table class="table table-dark table-sm spec-table mb-0">
+                                <tbody>
+                                    ${specs.map(spec => `<tr><th scope="row">${escapeHTML(spec.label)}</th><td>${escapeHTML(spec.display)}</td></tr>`).join('\n                                    ')}
+                                </tbody>
+                            </table>
+                        </div>` : ''}
+                    </div>
+                </div>
+            </div>`;
+}
+
+function setMetaTag(html, attribute, key, content) {
+    const tag = `<meta ${attribute}="${key}" content="${escapeHTML(content)}">`;
+    const pattern = new RegExp(`<meta ${attribute}="${key.replace(/[.:]/g, '\\$&')}" content="[^"]*">`);
+    
+    return pattern.test(html) ? html.replace(pattern, tag) : replaceOnce(html, '</head>', `    ${tag}\n</head>`);
+}
+
+// Fails the build if detail.html no longer has the markup the generator relies on
+function replaceOnce(html, search, replacement) {
+    if (!html.includes(search)) {
+        throw new Error(`detail.html: expected to find ${search}`);
+    }
+    return html.replace(search, () => replacement);
+}
+
+// ==================== SITEMAP ====================
+function renderSitemap(products, shared, catalogDate) {
+    const categories = [...new Set(products.map(product => product.category))];
+    const homeDate = latestDate([catalogDate, getLastModified('index.html')]);
+    
+    const urls = [
+        { loc: shared.SITE_URL, lastmod: homeDate, priority: '1.0' },
+        ...categories.map(category => ({
+            loc: shared.getAbsoluteURL(`index.html?category=${encodeURIComponent(category)}`),
+            lastmod: catalogDate,
+            priority: '0.8'
+        })),
+        ...products.map(product => ({
+            loc: shared.getProductURL(product),
+            lastmod: product.updatedAt || catalogDate,
+            priority: '0.6'
+        }))
+    ];
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<!-- Generated by scripts/build.js from data.json - do not edit by hand -->
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url>
+    <loc>${escapeXML(url.loc)}</loc>
+    <lastmod>${url.lastmod}</lastmod>
+    <priority>${url.priority}</priority>
+  </url>`).join('\n')}
+</urlset>
+`;
+}
+
+function latestDate(dates) {
+    return dates.reduce((latest, date) => new Date(date) > new Date(latest) ? date : latest);
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function escapeXML(text) {
+    return escapeHTML(text).replace(/'/g, '&apos;');
+}
+
+main();
@@ -0,0 +1,34 @@
+/**
+ * Helpers shared by the Node scripts in this folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// ==================== CONFIGURATION ====================
+const ROOT = path.resolve(__dirname, '..');
+
+// ==================== FILES ====================
+function readFile(name) {
+    return fs.readFileSync(path.join(ROOT, name), 'utf8');
+}
+
+function readJSON(name) {
+    return JSON.parse(readFile(name));
+}
+
+// ==================== BROWSER MODULES ====================
+// Runs classic browser scripts in a sandbox and returns what they export on `window`
+function loadBrowserModules(files) {
+    const context = vm.createContext({ window: {}, URL, console });
+    files.forEach(file => vm.runInContext(readFile(file), context, { filename: file }));
+    return context.window;
+}
+
+module.exports = {
+    ROOT,
+    readFile,
+    readJSON,
+    loadBrowserModules
+};
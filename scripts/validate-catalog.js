@@ -0,0 +1,243 @@
+/**
+ * Catalog Validation - checks data.json before it ships
+ *
+ * Usage: node scripts/validate-catalog.js
+ *
+ * Checks every product against the schema below, the category spec schemas
+ * in specs.js and the image files on disk. Prints every problem with the
+ * product id and field, and exits with status 1 if there are any, so the
+ * Pages workflow can refuse to deploy a broken catalog.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ROOT, readJSON, loadBrowserModules } = require('./shared');
+
+// ==================== CONFIGURATION ====================
+const CATALOG_FILE = 'data.json';
+
+/**
+ * Product fields. `check` returns an error message, or nothing when the
+ * value is fine. Optional fields are only checked when present.
+ */
+const PRODUCT_FIELDS = {
+    id: { required: true, check: value => isPositiveInteger(value) ? null : 'must be a positive integer' },
+    name: { required: true, check: requireText },
+    category: { required: true, check: requireText },
+    brand: { required: true, check: requireText },
+    price: { required: true, check: value => isPositiveNumber(value) ? null : 'must be a positive number' },
+    displayPrice: { required: true, check: requireText },
+    images: {
+        required: true,
+        check: value => Array.isArray(value) && value.length > 0 && value.every(isText)
+            ? null : 'must be a non-empty list of file names'
+    },
+    shipping: { required: true, check: checkShipping },
+    stock: { required: true, check: checkStock },
+    specs: {
+        required: true,
+        check: value => value && typeof value === 'object' && !Array.isArray(value) ? null : 'must be an object'
+    },
+    summary: { required: true, check: requireText },
+    details: { required: true, check: requireText },
+    sku: { required: false, check: requireText },
+    rating: { required: false, check: checkRating },
+    updatedAt: {
+        required: false,
+        check: value => isText(value) && !isNaN(Date.parse(value)) ? null : 'must be an ISO date'
+    }
+};
+
+// ==================== MAIN ====================
+function main() {
+    const { getSpecCategories, getSpecSchema } = loadBrowserModules(['specs.js']);
+    const problems = [];
+    
+    let products;
+    try {
+        products = readJSON(CATALOG_FILE);
+    } catch (error) {
+        console.error(`${CATALOG_FILE}: ${error.message}`);
+        process.exit(1);
+    }
+    
+    if (!Array.isArray(products)) {
+        console.error(`${CATALOG_FILE}: expected a list of products`);
+        process.exit(1);
+    }
+    
+    const report = (product, field, message) => problems.push({ product, field, message });
+    const categories = getSpecCategories();
+    
+    products.forEach((product, index) => {
+        if (!product || typeof product !== 'object') {
+            report({ id: `#${index}` }, '(product)', 'must be an object');
+            return;
+        }
+        
+        validateFields(product, report);
+        
+        if (isText(product.category) && !categories.includes(product.category)) {
+            report(product, 'category', `unknown category "${product.category}" (expected one of: ${categories.join(', ')})`);
+        }
+        
+        if (isPositiveNumber(product.price) && isText(product.displayPrice) && product.displayPrice !== formatDisplayPrice(product.price)) {
+            report(product, 'displayPrice', `"${product.displayPrice}" doesn't match price ${product.price} (expected "${formatDisplayPrice(product.price)}")`);
+        }
+        
+        if (Array.isArray(product.images)) {
+            product.images.forEach((image, i) => {
+                if (isText(image) && !imageExists(image)) {
+                    report(product, `images[${i}]`, `file not found: "${image}"`);
+                }
+            });
+        }
+        
+        if (product.specs && typeof product.specs === 'object' && categories.includes(product.category)) {
+            validateSpecs(product, getSpecSchema(product.category), report);
+        }
+    });
+    
+    findDuplicates(products, 'id').forEach(({ value, products: matches }) => {
+        matches.forEach(product => report(product, 'id', `duplicate id ${value} (${matches.length} products share it)`));
+    });
+    
+    printReport(products.length, problems);
+    process.exit(problems.length > 0 ? 1 : 0);
+}
+
+// ==================== CHECKS ====================
+function validateFields(product, report) {
+    Object.entries(PRODUCT_FIELDS).forEach(([field, rule]) => {
+        const value = product[field];
+        
+        if (value === undefined || value === null) {
+            if (rule.required) report(product, field, 'is required');
+            return;
+        }
+        
+        const message = rule.check(value);
+        if (message) report(product, field, message);
+    });
+    
+    Object.keys(product)
+        .filter(field => !PRODUCT_FIELDS[field])
+        .forEach(field => report(product, field, 'unknown field'));
+}
+
+// Spec values must exist in the category's schema and match its field type
+function validateSpecs(product, schema, report) {
+    Object.entries(product.specs).forEach(([key, value]) => {
+        const field = schema.find(f => f.key === key);
+        if (!field) {
+            report(product, `specs.${key}`, `not a ${product.category} spec`);
+            return;
+        }
+        
+        const message = checkSpecValue(field, value);
+        if (message) report(product, `specs.${key}`, message);
+    });
+}
+
+function checkSpecValue(field, value) {
+    switch (field.type) {
+        case 'number':
+            return typeof value === 'number' && isFinite(value) ? null : 'must be a number';
+        case 'bool':
+            return typeof value === 'boolean' ? null : 'must be true or false';
+        case 'list':
+            return Array.isArray(value) && value.length > 0 && value.every(isText) ? null : 'must be a list of text values';
+        case 'range':
+            return Array.isArray(value) && (value.length === 1 || value.length === 2) && value.every(isPositiveNumber)
+                ? null : 'must be [min, max] or [value]';
+        default:
+            return isText(value) ? null : 'must be text';
+    }
+}
+
+function checkShipping(value) {
+    if (!value || typeof value !== 'object') return 'must be an object with weight and dimensions';
+    if (!isPositiveNumber(value.weight)) return 'weight must be a positive number (kg)';
+    if (!Array.isArray(value.dimensions) || value.dimensions.length !== 3 || !value.dimensions.every(isPositiveNumber)) {
+        return 'dimensions must be three positive numbers (cm)';
+    }
+    return null;
+}
+
+function checkStock(value) {
+    if (!value || typeof value !== 'object') return 'must be { quantity, restockDate?, discontinued? }';
+    if (!Number.isInteger(value.quantity) || value.quantity < 0) return 'quantity must be a whole number';
+    if (value.restockDate !== undefined && (!isText(value.restockDate) || isNaN(Date.parse(value.restockDate)))) {
+        return 'restockDate must be an ISO date';
+    }
+    if (value.discontinued !== undefined && typeof value.discontinued !== 'boolean') return 'discontinued must be true or false';
+    
+    const unknown = Object.keys(value).filter(key => !['quantity', 'restockDate', 'discontinued'].includes(key));
+    return unknown.length > 0 ? `unknown field ${unknown[0]}` : null;
+}
+
+function checkRating(value) {
+    if (!value || typeof value !== 'object') return 'must be { value, count }';
+    if (typeof value.value !== 'number' || value.value < 0 || value.value > 5) return 'value must be between 0 and 5';
+    if (!Number.isInteger(value.count) || value.count < 0) return 'count must be a whole number';
+    return null;
+}
+
+// Case-sensitive, like GitHub Pages, even on case-insensitive file systems
+function imageExists(image) {
+    const file = path.join(ROOT, image);
+    const dir = path.dirname(file);
+    return fs.existsSync(dir) && fs.readdirSync(dir).includes(path.basename(file));
+}
+
+function findDuplicates(products, field) {
+    const groups = new Map();
+    products.forEach(product => {
+        if (!product || product[field] === undefined) return;
+        const group = groups.get(product[field]) || [];
+        group.push(product);
+        groups.set(product[field], group);
+    });
+    
+    return [...groups.entries()]
+        .filter(([, matches]) => matches.length > 1)
+        .map(([value, matches]) => ({ value, products: matches }));
+}
+
+// ==================== REPORTING ====================
+function printReport(count, problems) {
+    if (problems.length === 0) {
+        console.log(`${CATALOG_FILE}: ${count} products OK`);
+        return;
+    }
+    
+    problems.forEach(({ product, field, message }) => {
+        const name = isText(product.name) ? ` (${product.name})` : '';
+        console.error(`  product ${product.id}${name} - ${field}: ${message}`);
+    });
+    console.error(`${CATALOG_FILE}: ${problems.length} problem${problems.length === 1 ? '' : 's'} in ${count} products`);
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+// Same format detail.js falls back to when a product has no displayPrice
+function formatDisplayPrice(price) {
+    return `$${price}`;
+}
+
+function isText(value) {
+    return typeof value === 'string' && value.trim() !== '';
+}
+
+function requireText(value) {
+    return isText(value) ? null : 'must be non-empty text';
+}
+
+function isPositiveNumber(value) {
+    return typeof value === 'number' && isFinite(value) && value > 0;
+}
+
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+main();
@@ -0,0 +1,263 @@
+/**
+ * Product Search Index
+ * Tokenizes the catalog once, then ranks products for a query with
+ * prefix and typo-tolerant matching. Used by the grid (script.js).
+ */
+
+// ==================== CONFIGURATION ====================
+// How much a match in each field counts towards a product's score
+const SEARCH_FIELD_WEIGHTS = {
+    name: 5,
+    brand: 4,
+    category: 2,
+    summary: 1.5,
+    specs: 1,
+    details: 0.5
+};
+
+// How much each kind of term match is worth
+const SEARCH_MATCH_WEIGHTS = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.6
+};
+
+// A query like "70-200" also matches its parts ("70", "200"), but for less
+const SEARCH_PART_WEIGHT = 0.5;
+
+// Bonus when the whole query appears verbatim in the product name
+const SEARCH_PHRASE_BONUS = 3;
+
+// ==================== TOKENIZER ====================
+/**
+ * Splits text into normalized search tokens.
+ *   "70-200mm f/2.8"  -> 70-200, 70, 200, f2.8
+ *   "X-T5"            -> x-t5, x, t5, xt5
+ * Apertures lose their slash, focal lengths lose "mm", and hyphenated
+ * model numbers are indexed whole, joined and as their parts.
+ */
+function tokenize(text) {
+    const normalized = (text || '').toString().toLowerCase()
+        .replace(/\bf\s*\/\s*(\d)/g, 'f$1')
+        .replace(/(\d)\s*mm\b/g, '$1');
+        
+    const tokens = [];
+    
+    normalized.split(/[^a-z0-9.\-]+/).forEach(raw => {
+        const token = raw.replace(/^[.\-]+|[.\-]+$/g, '');
+        if (!token) return;
+        
+        tokens.push(token);
+        
+        if (token.includes('-')) {
+            const parts = token.split('-').filter(Boolean);
+            tokens.push(...parts, parts.join(''));
+        }
+    });
+    
+    return tokens;
+}
+
+// ==================== INDEX ====================
+/**
+ * Builds the index once from the catalog.
+ * Returns { documents: [{ product, fields: { name: Set, ... } }], vocabulary: Set }.
+ */
+function buildSearchIndex(products) {
+    const vocabulary = new Set();
+    
+    const documents = products.map(product => {
+        const fields = {};
+        
+        Object.keys(SEARCH_FIELD_WEIGHTS).forEach(field => {
+            fields[field] = new Set(tokenize(getSearchFieldText(product, field)));
+            fields[field].forEach(token => vocabulary.add(token));
+        });
+        
+        return { product, fields };
+    });
+    
+    return { documents, vocabulary };
+}
+
+// Specs are an object (see specs.js); every other field is plain text
+function getSearchFieldText(product, field) {
+    return field === 'specs' ? getSpecSearchText(product) : product[field];
+}
+
+// ==================== QUERY ====================
+/**
+ * Ranks products for a query. Every query word has to match something
+ * (exactly, as a prefix, or within a small edit distance); results are
+ * sorted by score, best first.
+ * Returns [{ product, score, matchedTokens: Set }].
+ */
+function searchProducts(index, query) {
+    const groups = parseQuery(query);
+    if (groups.length === 0) return [];
+    
+    // Resolve each query word against the vocabulary once, not per product
+    const groupMatches = groups.map(group => matchVocabulary(index.vocabulary, group));
+    const phrase = query.toString().toLowerCase().trim();
+    const results = [];
+    
+    index.documents.forEach(doc => {
+        let score = 0;
+        const matchedTokens = new Set();
+        
+        const matchesAll = groupMatches.every(matches => {
+            let best = 0;
+            let bestMatch = 0;
+            let bestTokens = [];
+            
+            Object.entries(doc.fields).forEach(([field, tokens]) => {
+                tokens.forEach(token => {
+                    const weight = matches.get(token);
+                    if (!weight) return;
+                    
+                    best = Math.max(best, weight * SEARCH_FIELD_WEIGHTS[field]);
+                    
+                    // Only highlight the closest matches, not every partial hit
+                    if (weight > bestMatch) {
+                        bestMatch = weight;
+                        bestTokens = [token];
+                    } else if (weight === bestMatch) {
+                        bestTokens.push(token);
+                    }
+                });
+            });
+            
+            bestTokens.forEach(token => matchedTokens.add(token));
+            score += best;
+            return best > 0;
+        });
+        
+        if (!matchesAll) return;
+        
+        if (doc.product.name.toLowerCase().includes(phrase)) {
+            score += SEARCH_PHRASE_BONUS;
+        }
+        
+        results.push({ product: doc.product, score, matchedTokens });
+    });
+    
+    return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * One group per word the shopper typed; a group matches if any of its
+ * variants does. Returns [[{ term, weight }, ...], ...].
+ */
+function parseQuery(query) {
+    const normalized = (query || '').toString().toLowerCase()
+        .replace(/\bf\s*\/\s*(\d)/g, 'f$1')
+        .replace(/(\d)\s*mm\b/g, '$1');
+        
+    return normalized.split(/[^a-z0-9.\-]+/)
+        .map(word => {
+            const [whole, ...variants] = tokenize(word);
+            if (!whole) return [];
+            
+            // tokenize() lists hyphen parts first and the joined form last
+            const joined = variants.length > 0 ? variants.pop() : null;
+            const group = [{ term: whole, weight: 1 }];
+            if (joined) group.push({ term: joined, weight: 1 });
+            variants
+                .filter(part => part.length >= 2)
+                .forEach(part => group.push({ term: part, weight: SEARCH_PART_WEIGHT }));
+            return group;
+        })
+        .filter(group => group.length > 0);
+}
+
+// Map of vocabulary token -> best match weight for one query group
+function matchVocabulary(vocabulary, group) {
+    const matches = new Map();
+    
+    vocabulary.forEach(token => {
+        let best = 0;
+        
+        group.forEach(({ term, weight }) => {
+            if (token === term) {
+                best = Math.max(best, SEARCH_MATCH_WEIGHTS.exact * weight);
+            } else if (term.length >= 2 && token.startsWith(term)) {
+                best = Math.max(best, SEARCH_MATCH_WEIGHTS.prefix * weight);
+            } else {
+                const distance = getFuzzyDistance(term, token);
+                if (distance > 0) {
+                    best = Math.max(best, (SEARCH_MATCH_WEIGHTS.fuzzy - 0.1 * (distance - 1)) * weight);
+                }
+            }
+        });
+        
+        if (best > 0) matches.set(token, best);
+    });
+    
+    return matches;
+}
+
+/**
+ * Edit distance between a query term and a token when it is within the
+ * allowed typo budget, otherwise 0. Numbers and short words must match
+ * exactly so "a7" never finds "a1" and "2.8" never finds "1.8".
+ */
+function getFuzzyDistance(term, token) {
+    if (term.length < 4 || /\d/.test(term) || /\d/.test(token)) return 0;
+    
+    const allowed = term.length >= 7 ? 2 : 1;
+    if (Math.abs(term.length - token.length) > allowed) return 0;
+    
+    const distance = getEditDistance(term, token);
+    return distance <= allowed ? distance : 0;
+}
+
+// Damerau-Levenshtein (optimal string alignment) so swapped letters count as one typo
+function getEditDistance(a, b) {
+    const rows = a.length + 1;
+    const cols = b.length + 1;
+    const d = Array.from({ length: rows }, (_, i) => [i, ...new Array(cols - 1).fill(0)]);
+    for (let j = 0; j < cols; j++) d[0][j] = j;
+    
+    for (let i = 1; i < rows; i++) {
+        for (let j = 1; j < cols; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+            
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    
+    return d[a.length][b.length];
+}
+
+// ==================== HIGHLIGHTING ====================
+/**
+ * Escapes text for HTML and wraps words that produced a matched token in <mark>.
+ */
+function highlightMatches(text, matchedTokens) {
+    const value = (text || '').toString();
+    if (!matchedTokens || matchedTokens.size === 0) return escapeSearchHTML(value);
+    
+    return value.split(/([A-Za-z0-9][A-Za-z0-9.\/\-]*)/).map((part, i) => {
+        // Odd indexes are the captured words
+        if (i % 2 === 1 && tokenize(part).some(token => matchedTokens.has(token))) {
+            return `<mark class="search-highlight">${escapeSearchHTML(part)}</mark>`;
+        }
+        return escapeSearchHTML(part);
+    }).join('');
+}
+
+function escapeSearchHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.buildSearchIndex = buildSearchIndex;
+window.searchProducts = searchProducts;
+window.highlightMatches = highlightMatches;
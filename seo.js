@@ -0,0 +1,175 @@
+/**
+ * Product SEO Metadata
+ * Title, description, canonical URL, Open Graph / Twitter tags and the
+ * JSON-LD Product block for a product. detail.js applies them in the
+ * browser; scripts/build.js loads this file to write the same values into
+ * the pre-rendered product pages, so keep it free of page-specific state.
+ */
+
+// ==================== CONFIGURATION ====================
+// Canonical links and share images always point at the live site
+const SITE_URL = 'https://shanicodes-star.github.io/LenseForge/';
+const SITE_NAME = 'LensForge';
+const META_DESCRIPTION_LENGTH = 160;
+
+// Pre-rendered product pages live in this folder (see scripts/build.js)
+const PRODUCT_PAGE_DIR = 'products';
+
+// ==================== URLS ====================
+// "1-sony-alpha-a7-iv"
+function getProductSlug(product) {
+    const name = product.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return `${product.id}-${name}`;
+}
+
+// The crawlable, pre-rendered page is canonical; detail.html?id= points at it too
+function getProductURL(product) {
+    return new URL(`${PRODUCT_PAGE_DIR}/${getProductSlug(product)}.html`, SITE_URL).href;
+}
+
+function getAbsoluteURL(path) {
+    return new URL(path, SITE_URL).href;
+}
+
+// ==================== METADATA ====================
+// Summary first, then as much of the details as fits
+function getMetaDescription(product) {
+    const text = `${product.summary}. ${product.details}`.replace(/\s+/g, ' ').trim();
+    if (text.length <= META_DESCRIPTION_LENGTH) return text;
+    
+    const cut = text.slice(0, META_DESCRIPTION_LENGTH - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ')).replace(/[,;:.]$/, '')}…`;
+}
+
+/**
+ * Every tag value for a product page.
+ * Returns { title, description, canonical, meta: [{ attribute, key, content }], structuredData }.
+ */
+function getProductMetadata(product) {
+    const url = getProductURL(product);
+    const title = `${product.name} | ${SITE_NAME}`;
+    const description = getMetaDescription(product);
+    const image = getAbsoluteURL(product.images[0]);
+    
+    const meta = [
+        ['name', 'description', description],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:type', 'product'],
+        ['property', 'og:url', url],
+        ['property', 'og:image', image],
+        ['property', 'og:image:alt', product.name],
+        ['property', 'og:site_name', SITE_NAME],
+        ['property', 'product:price:amount', product.price.toFixed(2)],
+        ['property', 'product:price:currency', 'USD'],
+        ['name', 'twitter:card', 'summary_large_image'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image]
+    ].map(([attribute, key, content]) => ({ attribute, key, content }));
+    
+    return {
+        title,
+        description,
+        canonical: url,
+        meta,
+        structuredData: buildProductStructuredData(product, url)
+    };
+}
+
+/**
+ * schema.org Product. Prices in data.json are USD, whatever currency the
+ * shopper picked. Availability comes from the product's stock (stock.js);
+ * backorders with a restock date also get `availabilityStarts`.
+ * `aggregateRating` is only added once products carry a `rating` of
+ * { value, count }.
+ */
+function buildProductStructuredData(product, url) {
+    const stock = getStockStatus(product);
+    const data = {
+        '@context': 'https://schema.org/',
+        '@type': 'Product',
+        name: product.name,
+        image: product.images.map(getAbsoluteURL),
+        description: product.details,
+        sku: String(product.sku || product.id),
+        category: product.category,
+        brand: {
+            '@type': 'Brand',
+            name: product.brand
+        },
+        offers: {
+            '@type': 'Offer',
+            url: url,
+            priceCurrency: 'USD',
+            price: product.price.toFixed(2),
+            availability: getSchemaAvailability(product),
+            itemCondition: 'https://schema.org/NewCondition'
+        }
+    };
+    
+    if (stock.restockDate) {
+        data.offers.availabilityStarts = stock.restockDate.toISOString().slice(0, 10);
+    }
+    
+    if (product.rating && product.rating.count > 0) {
+        data.aggregateRating = {
+            '@type': 'AggregateRating',
+            ratingValue: product.rating.value,
+            reviewCount: product.rating.count
+        };
+    }
+    
+    return data;
+}
+
+// ==================== DOCUMENT ====================
+// Browser only: writes the metadata into the current page's <head>
+function updateProductMetadata(product) {
+    const metadata = getProductMetadata(product);
+    
+    document.title = metadata.title;
+    metadata.meta.forEach(({ attribute, key, content }) => setMetaContent(attribute, key, content));
+    setCanonicalURL(metadata.canonical);
+    setStructuredData(metadata.structuredData);
+}
+
+function setMetaContent(attribute, key, content) {
+    let meta = document.head.querySelector(`meta[${attribute}="${key}"]`);
+    if (!meta) {
+        meta = document.createElement('meta');
+        meta.setAttribute(attribute, key);
+        document.head.appendChild(meta);
+    }
+    meta.setAttribute('content', content);
+}
+
+function setCanonicalURL(url) {
+    let link = document.head.querySelector('link[rel="canonical"]');
+    if (!link) {
+        link = document.createElement('link');
+        link.rel = 'canonical';
+        document.head.appendChild(link);
+    }
+    link.href = url;
+}
+
+function setStructuredData(data) {
+    let script = document.getElementById('productStructuredData');
+    if (!script) {
+        script = document.createElement('script');
+        script.type = 'application/ld+json';
+        script.id = 'productStructuredData';
+        document.head.appendChild(script);
+    }
+    script.textContent = JSON.stringify(data, null, 2);
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.SITE_URL = SITE_URL;
+window.getProductSlug = getProductSlug;
+window.getProductURL = getProductURL;
+window.getAbsoluteURL = getAbsoluteURL;
+window.getProductMetadata = getProductMetadata;
+window.updateProductMetadata = updateProductMetadata;
+window.setMetaContent = setMetaContent;
@@ -0,0 +1,222 @@
+/**
+ * Shipping Calculator
+ * Rates from billable weight, destination zone and service level.
+ * Shared by the cart summary and the checkout flow.
+ */
+
+// ==================== CONFIGURATION ====================
+// Orders ship from Karachi; all amounts in USD
+const SHIPPING_ORIGIN_COUNTRY = 'PK';
+
+// Standard shipping is free at or above this item subtotal
+const FREE_SHIPPING_THRESHOLD = 1500;
+
+// Volumetric divisor for cm dimensions (kg = L x W x H / 5000)
+const VOLUMETRIC_DIVISOR = 5000;
+
+// Used when a cart line carries no shipping data (e.g. older carts)
+const DEFAULT_PACKAGE_WEIGHTS = {
+    'Cameras': 1.4,
+    'Camera Lenses': 1.3,
+    'Lighting & Studio': 3.5,
+    'Tripods & Supports': 2.5,
+    'Accessories': 1.0
+};
+const FALLBACK_PACKAGE_WEIGHT = 1.5;
+
+// Destination zones: base charge per shipment plus a rate per billable kg
+const SHIPPING_ZONES = {
+    local: {
+        label: 'Karachi',
+        base: 5,
+        perKg: 1.5
+    },
+    domestic: {
+        label: 'Pakistan',
+        base: 10,
+        perKg: 3
+    },
+    regional: {
+        label: 'Middle East & South Asia',
+        countries: ['AE', 'SA', 'QA', 'OM', 'BH', 'KW', 'IN', 'BD', 'LK'],
+        base: 35,
+        perKg: 9
+    },
+    international: {
+        label: 'International',
+        base: 60,
+        perKg: 15
+    }
+};
+
+// Karachi postcodes fall in the 74xxx-75xxx range
+const LOCAL_POSTCODE_PATTERN = /^7[45]\d{3}$/;
+
+// Countries offered in the destination pickers
+const SHIPPING_COUNTRIES = {
+    PK: 'Pakistan',
+    AE: 'United Arab Emirates',
+    SA: 'Saudi Arabia',
+    QA: 'Qatar',
+    IN: 'India',
+    US: 'United States',
+    CA: 'Canada',
+    GB: 'United Kingdom',
+    DE: 'Germany',
+    FR: 'France',
+    IT: 'Italy',
+    ES: 'Spain',
+    NL: 'Netherlands',
+    AU: 'Australia'
+};
+
+// Service levels; multiplier applies to the zone rate
+const SHIPPING_METHODS = {
+    standard: {
+        id: 'standard',
+        name: 'Standard',
+        label: 'Standard Shipping',
+        eta: '5-7 business days',
+        multiplier: 1,
+        zones: ['local', 'domestic', 'regional', 'international']
+    },
+    express: {
+        id: 'express',
+        name: 'Express',
+        label: 'Express Shipping',
+        eta: '2-3 business days',
+        multiplier: 1.75,
+        zones: ['local', 'domestic', 'regional', 'international']
+    },
+    overnight: {
+        id: 'overnight',
+        name: 'Overnight',
+        label: 'Overnight Shipping',
+        eta: 'Next business day',
+        multiplier: 3,
+        zones: ['local', 'domestic']
+    }
+};
+
+const DEFAULT_SHIPPING_METHOD = 'standard';
+const DESTINATION_STORAGE_KEY = 'shippingDestination';
+
+// ==================== WEIGHT ====================
+function getPackageWeight(item) {
+    const shippingData = item.shipping || {};
+    const actual = typeof shippingData.weight === 'number'
+        ? shippingData.weight
+        : DEFAULT_PACKAGE_WEIGHTS[item.category] || FALLBACK_PACKAGE_WEIGHT;
+        
+    if (!Array.isArray(shippingData.dimensions) || shippingData.dimensions.length !== 3) {
+        return actual;
+    }
+    
+    const [length, width, height] = shippingData.dimensions;
+    const volumetric = (length * width * height) / VOLUMETRIC_DIVISOR;
+    return Math.max(actual, volumetric);
+}
+
+function getBillableWeight(items) {
+    const weight = items.reduce((sum, item) => sum + getPackageWeight(item) * (item.quantity || 1), 0);
+    // Carriers bill in 0.5 kg steps
+    return Math.ceil(weight * 2) / 2;
+}
+
+// ==================== ZONES ====================
+function getShippingZone(destination = {}) {
+    const country = (destination.country || SHIPPING_ORIGIN_COUNTRY).toUpperCase();
+    const postcode = (destination.postcode || '').replace(/\s/g, '');
+    
+    if (country === SHIPPING_ORIGIN_COUNTRY) {
+        return LOCAL_POSTCODE_PATTERN.test(postcode) ? 'local' : 'domestic';
+    }
+    if (SHIPPING_ZONES.regional.countries.includes(country)) {
+        return 'regional';
+    }
+    return 'international';
+}
+
+// ==================== CALCULATION ====================
+/**
+ * Quotes one service level for the given cart lines.
+ * Returns { method, zone, cost, billableWeight, free, available }.
+ */
+function calculateShipping(items, subtotal, destination, methodId = DEFAULT_SHIPPING_METHOD) {
+    const method = getShippingMethod(methodId);
+    const zoneId = getShippingZone(destination);
+    const zone = SHIPPING_ZONES[zoneId];
+    const billableWeight = getBillableWeight(items);
+    
+    const quote = {
+        method: method,
+        zone: { id: zoneId, label: zone.label },
+        cost: 0,
+        billableWeight: billableWeight,
+        free: false,
+        available: method.zones.includes(zoneId)
+    };
+    
+    if (items.length === 0) return quote;
+    
+    if (method.id === DEFAULT_SHIPPING_METHOD && subtotal >= FREE_SHIPPING_THRESHOLD) {
+        quote.free = true;
+        return quote;
+    }
+    
+    const cost = (zone.base + zone.perKg * billableWeight) * method.multiplier;
+    quote.cost = Math.round(cost * 100) / 100;
+    return quote;
+}
+
+function getShippingQuotes(items, subtotal, destination) {
+    return Object.keys(SHIPPING_METHODS).map(methodId =>
+        calculateShipping(items, subtotal, destination, methodId)
+    );
+}
+
+function getShippingMethod(methodId) {
+    return SHIPPING_METHODS[methodId] || SHIPPING_METHODS[DEFAULT_SHIPPING_METHOD];
+}
+
+// ==================== DESTINATION STORAGE ====================
+function getStoredDestination() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(DESTINATION_STORAGE_KEY)) || {};
+        return {
+            country: SHIPPING_COUNTRIES[stored.country] ? stored.country : SHIPPING_ORIGIN_COUNTRY,
+            postcode: stored.postcode || '',
+            region: stored.region || '',
+            method: SHIPPING_METHODS[stored.method] ? stored.method : DEFAULT_SHIPPING_METHOD
+        };
+    } catch (error) {
+        console.error('Error parsing shipping destination:', error);
+        return { country: SHIPPING_ORIGIN_COUNTRY, postcode: '', region: '', method: DEFAULT_SHIPPING_METHOD };
+    }
+}
+
+function storeDestination(destination) {
+    localStorage.setItem(DESTINATION_STORAGE_KEY, JSON.stringify({
+        country: destination.country,
+        postcode: destination.postcode,
+        region: destination.region || '',
+        method: destination.method
+    }));
+}
+
+function renderCountryOptions(select, selected) {
+    if (!select) return;
+    
+    const placeholder = select.querySelector('option[value=""]');
+    select.innerHTML = (placeholder ? placeholder.outerHTML : '') +
+        Object.entries(SHIPPING_COUNTRIES).map(([code, name]) =>
+            `<option value="${code}" ${code === selected ? 'selected' : ''}>${name}</option>`
+        ).join('');
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.calculateShipping = calculateShipping;
+window.getShippingQuotes = getShippingQuotes;
+window.getShippingMethod = getShippingMethod;
+window.getStoredDestination = getStoredDestination;
+window.storeDestination = storeDestination;
@@ -0,0 +1,153 @@
+/**
+ * Product Specifications
+ * Each category has a typed spec schema; products carry the values in
+ * data.json under `specs`. Used by the detail spec table, the compare page,
+ * search indexing and the catalog's spec filters.
+ */
+
+// ==================== CONFIGURATION ====================
+/**
+ * Field types:
+ *   number - numeric value, shown with `unit`
+ *   text   - free text
+ *   bool   - yes / no
+ *   list   - array of text values (e.g. a lens made in several mounts)
+ *   range  - [min, max] numbers, or [value] when fixed (focal length)
+ * Fields marked `facet` are offered as filters in the catalog sidebar.
+ */
+const SPEC_SCHEMAS = {
+    'Cameras': [
+        { key: 'sensorSize', label: 'Sensor size', type: 'text', facet: true },
+        { key: 'resolution', label: 'Resolution', type: 'number', unit: 'MP' },
+        { key: 'mount', label: 'Mount', type: 'text', facet: true },
+        { key: 'maxVideo', label: 'Max video', type: 'text' },
+        { key: 'stabilization', label: 'In-body stabilization', type: 'bool' },
+        { key: 'weight', label: 'Weight', type: 'number', unit: 'g' }
+    ],
+    'Camera Lenses': [
+        { key: 'focalLength', label: 'Focal length', type: 'range', unit: 'mm' },
+        { key: 'maxAperture', label: 'Max aperture', type: 'number', prefix: 'f/' },
+        { key: 'mount', label: 'Mount', type: 'list', facet: true },
+        { key: 'stabilization', label: 'Optical stabilization', type: 'bool' },
+        { key: 'weatherSealed', label: 'Weather sealed', type: 'bool' },
+        { key: 'weight', label: 'Weight', type: 'number', unit: 'g' }
+    ],
+    'Tripods & Supports': [
+        { key: 'type', label: 'Type', type: 'text' },
+        { key: 'maxLoad', label: 'Max load', type: 'number', unit: 'kg' },
+        { key: 'maxHeight', label: 'Max height', type: 'number', unit: 'cm' },
+        { key: 'weight', label: 'Weight', type: 'number', unit: 'kg' },
+        { key: 'material', label: 'Material', type: 'text' }
+    ],
+    'Lighting & Studio': [
+        { key: 'type', label: 'Type', type: 'text' },
+        { key: 'power', label: 'Power', type: 'number', unit: 'W' },
+        { key: 'energy', label: 'Flash energy', type: 'number', unit: 'Ws' },
+        { key: 'guideNumber', label: 'Guide number', type: 'number', unit: 'm' },
+        { key: 'colorTemperature', label: 'Color temperature', type: 'text' },
+        { key: 'cri', label: 'CRI', type: 'number' },
+        { key: 'mount', label: 'Mount', type: 'text' }
+    ],
+    'Accessories': [
+        { key: 'type', label: 'Type', type: 'text' },
+        { key: 'capacity', label: 'Capacity', type: 'number', unit: 'GB' },
+        { key: 'readSpeed', label: 'Read speed', type: 'number', unit: 'MB/s' },
+        { key: 'interface', label: 'Interface', type: 'text' },
+        { key: 'screenSize', label: 'Screen size', type: 'number', unit: 'in' },
+        { key: 'brightness', label: 'Brightness', type: 'number', unit: 'nits' },
+        { key: 'connectivity', label: 'Connectivity', type: 'text' },
+        { key: 'ports', label: 'Ports', type: 'number' },
+        { key: 'weight', label: 'Weight', type: 'number', unit: 'kg' }
+    ]
+};
+
+// ==================== SCHEMA ====================
+function getSpecSchema(category) {
+    return SPEC_SCHEMAS[category] || [];
+}
+
+// Every catalog category has a schema, so this doubles as the list of valid categories
+function getSpecCategories() {
+    return Object.keys(SPEC_SCHEMAS);
+}
+
+// Spec filters across all categories, de-duplicated by key (cameras and lenses share "mount")
+function getSpecFacets() {
+    const facets = [];
+    
+    Object.values(SPEC_SCHEMAS).forEach(schema => {
+        schema.filter(field => field.facet).forEach(field => {
+            if (!facets.some(facet => facet.key === field.key)) {
+                facets.push({ key: field.key, label: field.label });
+            }
+        });
+    });
+    
+    return facets;
+}
+
+// ==================== VALUES ====================
+/**
+ * A product's specs in schema order, skipping fields it doesn't have.
+ * Returns [{ key, label, value, display }].
+ */
+function getProductSpecs(product) {
+    const specs = product.specs || {};
+    
+    return getSpecSchema(product.category)
+        .filter(field => specs[field.key] !== undefined && specs[field.key] !== null)
+        .map(field => ({
+            key: field.key,
+            label: field.label,
+            value: specs[field.key],
+            display: formatSpecValue(field, specs[field.key])
+        }));
+}
+
+// Values of one spec as a list, so single values and `list` fields filter alike
+function getSpecValues(product, key) {
+    const value = (product.specs || {})[key];
+    if (value === undefined || value === null) return [];
+    return Array.isArray(value) ? value.map(String) : [String(value)];
+}
+
+// Same, but only where the product's category offers that spec as a filter
+function getSpecFacetValues(product, key) {
+    const field = getSpecSchema(product.category).find(f => f.key === key);
+    return field && field.facet ? getSpecValues(product, key) : [];
+}
+
+function formatSpecValue(field, value) {
+    switch (field.type) {
+        case 'bool':
+            return value ? 'Yes' : 'No';
+        case 'list':
+            return value.join(', ');
+        case 'range': {
+            const [min, max] = value;
+            const range = max === undefined || max === min ? `${min}` : `${min}-${max}`;
+            return `${range}${field.unit || ''}`;
+        }
+        case 'number':
+            return `${field.prefix || ''}${value}${field.unit ? ` ${field.unit}` : ''}`;
+        default:
+            return String(value);
+    }
+}
+
+// Text for the search index: "Sensor size Full frame Resolution 33 MP Mount Sony E ..."
+function getSpecSearchText(product) {
+    return getProductSpecs(product)
+        .filter(spec => typeof spec.value !== 'boolean')
+        .map(spec => `${spec.label} ${spec.display}`)
+        .join(' ');
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.getSpecSchema = getSpecSchema;
+window.getSpecCategories = getSpecCategories;
+window.getSpecFacets = getSpecFacets;
+window.getProductSpecs = getProductSpecs;
+window.getSpecValues = getSpecValues;
+window.getSpecFacetValues = getSpecFacetValues;
+window.getSpecSearchText = getSpecSearchText;
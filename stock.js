@@ -0,0 +1,108 @@
+/**
+ * Stock and Availability
+ * Products carry `stock` in data.json: { quantity, restockDate?, discontinued? }.
+ * This turns it into one of four states for the card and detail badges,
+ * the cart's quantity limits (cart-store.js) and the JSON-LD availability
+ * (seo.js). scripts/build.js loads it too, so it must not touch the DOM.
+ */
+
+// ==================== CONFIGURATION ====================
+// At or below this many units a product shows as low stock
+const LOW_STOCK_THRESHOLD = 5;
+
+/**
+ * States, in the order a shopper cares about them:
+ *   in-stock     - ships now
+ *   low-stock    - ships now, only a few left
+ *   backorder    - none on hand; can still be ordered, ships by restockDate
+ *   discontinued - can't be ordered
+ */
+const STOCK_STATES = {
+    'in-stock': { label: 'In stock', badge: 'bg-success', schema: 'https://schema.org/InStock' },
+    'low-stock': { label: 'Low stock', badge: 'bg-warning text-dark', schema: 'https://schema.org/LimitedAvailability' },
+    'backorder': { label: 'Backorder', badge: 'bg-info text-dark', schema: 'https://schema.org/BackOrder' },
+    'discontinued': { label: 'Discontinued', badge: 'bg-secondary', schema: 'https://schema.org/Discontinued' }
+};
+
+// ==================== STOCK STATE ====================
+/**
+ * Returns { state, quantity, restockDate, orderable }. Works on catalog
+ * products and cart lines alike. Products without stock data count as in
+ * stock, so older carts and catalogs keep working.
+ */
+function getStockStatus(product) {
+    const stock = product.stock || {};
+    const quantity = Number.isInteger(stock.quantity) ? Math.max(0, stock.quantity) : null;
+    const restockDate = getUpcomingDate(stock.restockDate);
+    
+    let state = 'in-stock';
+    if (stock.discontinued) {
+        state = 'discontinued';
+    } else if (quantity === 0) {
+        state = 'backorder';
+    } else if (quantity !== null && quantity <= LOW_STOCK_THRESHOLD) {
+        state = 'low-stock';
+    }
+    
+    return {
+        state,
+        quantity,
+        restockDate: state === 'backorder' ? restockDate : null,
+        orderable: state !== 'discontinued'
+    };
+}
+
+/**
+ * Most units one order may hold, before the cart's own per-line cap.
+ * Backorders aren't limited by what's on hand; unknown stock isn't limited.
+ */
+function getStockLimit(product) {
+    const status = getStockStatus(product);
+    
+    if (!status.orderable) return 0;
+    if (status.state === 'backorder' || status.quantity === null) return Infinity;
+    return status.quantity;
+}
+
+function getSchemaAvailability(product) {
+    return STOCK_STATES[getStockStatus(product).state].schema;
+}
+
+// "Only 3 left", "Backorder - ships by Nov 20"
+function getStockLabel(product) {
+    const status = getStockStatus(product);
+    
+    if (status.state === 'low-stock') return `Only ${status.quantity} left`;
+    if (status.state === 'backorder' && status.restockDate) {
+        return `Backorder - ships by ${formatRestockDate(status.restockDate)}`;
+    }
+    return STOCK_STATES[status.state].label;
+}
+
+// ==================== RENDERING ====================
+function renderStockBadge(product, className = '') {
+    const status = getStockStatus(product);
+    
+    return `<span class="badge stock-badge ${STOCK_STATES[status.state].badge} ${className}"
+                  data-stock-state="${status.state}">${getStockLabel(product)}</span>`;
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+// Restock dates that have already passed say nothing useful about shipping
+function getUpcomingDate(value) {
+    if (!value) return null;
+    
+    const date = new Date(value);
+    return isNaN(date) || date < new Date() ? null : date;
+}
+
+function formatRestockDate(date) {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.getStockStatus = getStockStatus;
+window.getStockLimit = getStockLimit;
+window.getSchemaAvailability = getSchemaAvailability;
+window.getStockLabel = getStockLabel;
+window.renderStockBadge = renderStockBadge;
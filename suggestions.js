@@ -0,0 +1,341 @@
+/**
+ * Navbar Search Suggestions
+ * Search-as-you-type dropdown under #searchInput and #mobileSearchInput on
+ * every page. Ranking comes from search.js; prices from currency.js.
+ */
+
+// ==================== CONFIGURATION ====================
+const SUGGESTION_INPUT_IDS = ['searchInput', 'mobileSearchInput'];
+const SUGGESTION_LIMITS = {
+    product: 5,
+    brand: 3,
+    category: 3
+};
+
+let suggestionIndexPromise = null;
+let activeSuggestionInput = null;
+
+// ==================== LOAD FUNCTIONS ====================
+// The catalog is only fetched once someone starts typing
+function loadSuggestionIndex() {
+    if (!suggestionIndexPromise) {
+        suggestionIndexPromise = fetch('data.json')
+            .then(response => {
+                if (!response.ok) throw new Error('Products data not found');
+                return response.json();
+            })
+            .then(products => ({
+                products: buildSearchIndex(products),
+                filters: buildSearchIndex(getFilterDocuments(products))
+            }))
+            .catch(error => {
+                console.error('Error loading search suggestions:', error);
+                suggestionIndexPromise = null;
+                return null;
+            });
+    }
+    return suggestionIndexPromise;
+}
+
+// Brands and categories get their own small index so they match by name alone
+function getFilterDocuments(products) {
+    const documents = [];
+    
+    ['brand', 'category'].forEach(type => {
+        new Set(products.map(p => p[type])).forEach(name => documents.push({ type, name }));
+    });
+    
+    return documents;
+}
+
+// ==================== SETUP ====================
+/**
+ * Call after the navbar is injected. Listeners are delegated from the
+ * document so they survive the navbar being re-rendered.
+ */
+function setupSearchSuggestions() {
+    SUGGESTION_INPUT_IDS.forEach(id => {
+        const input = document.getElementById(id);
+        if (!input) return;
+        
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-expanded', 'false');
+        input.setAttribute('aria-controls', `${id}Suggestions`);
+    });
+    
+    if (setupSearchSuggestions.bound) return;
+    setupSearchSuggestions.bound = true;
+    
+    document.addEventListener('input', function(e) {
+        if (isSuggestionInput(e.target)) updateSuggestions(e.target);
+    });
+    
+    document.addEventListener('focusin', function(e) {
+        if (isSuggestionInput(e.target) && e.target.value.trim()) updateSuggestions(e.target);
+    });
+    
+    document.addEventListener('focusout', function(e) {
+        if (!isSuggestionInput(e.target)) return;
+        
+        // Let a click on a suggestion land before the list goes away
+        setTimeout(() => {
+            if (document.activeElement !== e.target) closeSuggestions(e.target);
+        }, 150);
+    });
+    
+    document.addEventListener('keydown', function(e) {
+        if (isSuggestionInput(e.target)) handleSuggestionKeydown(e);
+    });
+    
+    document.addEventListener('submit', function(e) {
+        const input = SUGGESTION_INPUT_IDS
+            .map(id => e.target.querySelector && e.target.querySelector(`#${id}`))
+            .find(Boolean);
+        if (!input) return;
+        
+        e.preventDefault();
+        submitSearch({ type: 'search', value: input.value.trim() }, input);
+    });
+    
+    document.addEventListener('click', function(e) {
+        const option = e.target.closest('.search-suggestion');
+        // Modified clicks fall through to the link (e.g. open in a new tab)
+        if (!option || e.ctrlKey || e.metaKey || e.shiftKey) return;
+        
+        e.preventDefault();
+        const input = document.getElementById(option.closest('.search-suggestions').dataset.input);
+        selectSuggestion(option, input);
+    });
+    
+    // Prices in the open list follow the currency selector
+    window.addEventListener('currencychange', () => {
+        if (activeSuggestionInput) updateSuggestions(activeSuggestionInput);
+    });
+}
+
+function isSuggestionInput(element) {
+    return !!element && SUGGESTION_INPUT_IDS.includes(element.id);
+}
+
+// ==================== RENDERING ====================
+async function updateSuggestions(input) {
+    const query = input.value.trim();
+    if (!query) {
+        closeSuggestions(input);
+        return;
+    }
+    
+    const index = await loadSuggestionIndex();
+    
+    // Ignore stale results if the shopper kept typing while the catalog loaded
+    if (!index || input.value.trim() !== query) return;
+    
+    renderSuggestions(input, getSuggestions(index, query));
+}
+
+// Products, brands and categories ranked by search.js, so typos still match
+function getSuggestions(index, query) {
+    const results = searchProducts(index.products, query);
+    const filters = searchProducts(index.filters, query).map(result => result.product);
+    
+    return {
+        products: results.slice(0, SUGGESTION_LIMITS.product),
+        brands: filters.filter(f => f.type === 'brand').map(f => f.name).slice(0, SUGGESTION_LIMITS.brand),
+        categories: filters.filter(f => f.type === 'category').map(f => f.name).slice(0, SUGGESTION_LIMITS.category),
+        total: results.length
+    };
+}
+
+function renderSuggestions(input, suggestions) {
+    const list = getSuggestionList(input);
+    const query = input.value.trim();
+    const sections = [];
+    
+    if (suggestions.products.length > 0) {
+        sections.push(`
+            <li class="search-suggestions-heading" role="presentation">Products</li>
+            ${suggestions.products.map(({ product, matchedTokens }) => `
+                <li class="search-suggestion" role="option" data-type="product" data-value="${product.id}">
+                    <a href="detail.html?id=${product.id}" class="d-flex align-items-center gap-3" tabindex="-1">
+                        <img src="${product.images[0]}" alt="" class="search-suggestion-thumb" loading="lazy">
+                        <span class="flex-grow-1 text-truncate">${highlightMatches(product.name, matchedTokens)}</span>
+                        <span class="price">${formatPrice(product.price, { wholeUnits: true })}</span>
+                    </a>
+                </li>
+            `).join('')}
+        `);
+    }
+    
+    if (suggestions.brands.length > 0) {
+        sections.push(`
+            <li class="search-suggestions-heading" role="presentation">Brands</li>
+            ${suggestions.brands.map(brand => renderFilterSuggestion('brand', brand, 'fa-tag')).join('')}
+        `);
+    }
+    
+    if (suggestions.categories.length > 0) {
+        sections.push(`
+            <li class="search-suggestions-heading" role="presentation">Categories</li>
+            ${suggestions.categories.map(category => renderFilterSuggestion('category', category, 'fa-th-large')).join('')}
+        `);
+    }
+    
+    if (sections.length === 0) {
+        list.innerHTML = `<li class="search-suggestions-empty" role="presentation">No matches for "${escapeSearchHTML(query)}"</li>`;
+    } else {
+        list.innerHTML = sections.join('') + `
+            <li class="search-suggestion search-suggestion-all" role="option" data-type="search" data-value="${escapeSearchHTML(query)}">
+                <a href="${getSearchURL('search', query)}" tabindex="-1">
+                    <i class="fas fa-search me-2"></i> See all ${suggestions.total} results for "${escapeSearchHTML(query)}"
+                </a>
+            </li>
+        `;
+    }
+    
+    list.querySelectorAll('.search-suggestion').forEach((option, i) => {
+        option.id = `${list.id}-${i}`;
+    });
+    
+    list.classList.remove('d-none');
+    input.setAttribute('aria-expanded', 'true');
+    input.removeAttribute('aria-activedescendant');
+    activeSuggestionInput = input;
+}
+
+function renderFilterSuggestion(type, value, icon) {
+    return `
+        <li class="search-suggestion" role="option" data-type="${type}" data-value="${escapeSearchHTML(value)}">
+            <a href="${getSearchURL(type, value)}" tabindex="-1">
+                <i class="fas ${icon} me-2"></i> ${escapeSearchHTML(value)}
+            </a>
+        </li>
+    `;
+}
+
+// The dropdown is created next to the input the first time it is needed
+function getSuggestionList(input) {
+    let list = document.getElementById(`${input.id}Suggestions`);
+    
+    if (!list) {
+        list = document.createElement('ul');
+        list.id = `${input.id}Suggestions`;
+        list.className = 'search-suggestions list-unstyled shadow-lg d-none';
+        list.setAttribute('role', 'listbox');
+        list.dataset.input = input.id;
+        input.parentElement.classList.add('position-relative');
+        input.insertAdjacentElement('afterend', list);
+        
+        // Keep focus in the input while clicking an option
+        list.addEventListener('mousedown', e => e.preventDefault());
+    }
+    
+    return list;
+}
+
+function closeSuggestions(input) {
+    const list = document.getElementById(`${input.id}Suggestions`);
+    if (list) list.classList.add('d-none');
+    
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+    if (activeSuggestionInput === input) activeSuggestionInput = null;
+}
+
+// ==================== KEYBOARD ====================
+function handleSuggestionKeydown(e) {
+    const input = e.target;
+    const list = document.getElementById(`${input.id}Suggestions`);
+    const isOpen = list && !list.classList.contains('d-none');
+    const options = isOpen ? [...list.querySelectorAll('.search-suggestion')] : [];
+    const current = options.findIndex(option => option.classList.contains('active'));
+    
+    switch (e.key) {
+        case 'ArrowDown':
+        case 'ArrowUp': {
+            if (!isOpen) {
+                updateSuggestions(input);
+                return;
+            }
+            if (options.length === 0) return;
+            
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            // Wraps through "nothing selected" (-1) so the shopper can get back to the typed text
+            const slots = options.length + 1;
+            const next = ((current + 1 + step + slots) % slots) - 1;
+            setActiveSuggestion(input, options, next);
+            break;
+        }
+        
+        case 'Enter':
+            e.preventDefault();
+            if (current >= 0) {
+                selectSuggestion(options[current], input);
+            } else {
+                submitSearch({ type: 'search', value: input.value.trim() }, input);
+            }
+            break;
+            
+        case 'Escape':
+            if (isOpen) {
+                e.preventDefault();
+                closeSuggestions(input);
+            }
+            break;
+            
+        case 'Tab':
+            closeSuggestions(input);
+            break;
+    }
+}
+
+function setActiveSuggestion(input, options, index) {
+    options.forEach((option, i) => {
+        option.classList.toggle('active', i === index);
+        option.setAttribute('aria-selected', i === index ? 'true' : 'false');
+    });
+    
+    if (index >= 0) {
+        input.setAttribute('aria-activedescendant', options[index].id);
+        options[index].scrollIntoView({ block: 'nearest' });
+    } else {
+        input.removeAttribute('aria-activedescendant');
+    }
+}
+
+// ==================== NAVIGATION ====================
+function selectSuggestion(option, input) {
+    if (option.dataset.type === 'product') {
+        window.location.href = `detail.html?id=${option.dataset.value}`;
+        return;
+    }
+    
+    submitSearch({ type: option.dataset.type, value: option.dataset.value }, input);
+}
+
+/**
+ * Runs a search, brand or category selection. The catalog page handles it
+ * in place by cancelling the "searchsubmit" event; every other page goes
+ * to index.html with the selection in the query string.
+ */
+function submitSearch(detail, input) {
+    if (input) closeSuggestions(input);
+    if (detail.type === 'search' && !detail.value && !document.getElementById('products')) return;
+    
+    const handled = !window.dispatchEvent(new CustomEvent('searchsubmit', { detail, cancelable: true }));
+    if (handled) {
+        if (input) input.blur();
+        return;
+    }
+    
+    window.location.href = getSearchURL(detail.type, detail.value);
+}
+
+function getSearchURL(type, value) {
+    const param = type === 'search' ? 'q' : type;
+    return `index.html?${new URLSearchParams({ [param]: value })}`;
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.setupSearchSuggestions = setupSearchSuggestions;
@@ -0,0 +1,206 @@
+/**
+ * Service Worker - Offline Support
+ * Precaches the pages, scripts, partials and catalog so the store (and the
+ * cart in particular) keeps working without a connection. Registered by
+ * pwa.js from the site root, so it controls every page including the
+ * pre-rendered products/ pages.
+ *
+ * Strategies:
+ *   pages, scripts, styles, partials  network first, cached copy offline
+ *   data.json and images               stale-while-revalidate
+ *   Bootstrap / Font Awesome CDNs      cache first (versioned URLs)
+ */
+
+// ==================== CONFIGURATION ====================
+// Bump when PRECACHE_URLS changes; older caches are deleted on activate
+const CACHE_VERSION = 'v3';
+const CACHE_PREFIX = 'lensforge-';
+
+// Everything from this site, keyed without the query string (detail.html?id=3 -> detail.html)
+const SITE_CACHE = `${CACHE_PREFIX}site-${CACHE_VERSION}`;
+const CDN_CACHE = `${CACHE_PREFIX}cdn-${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'detail.html',
+    'cart.html',
+    'checkout.html',
+    'compare.html',
+    'wishlist.html',
+    'navbar.html',
+    'hero.html',
+    'footer.html',
+    'style.css',
+    'pwa.js',
+    'footer.js',
+    'currency.js',
+    'stock.js',
+    'cart-store.js',
+    'specs.js',
+    'search.js',
+    'suggestions.js',
+    'comparison.js',
+    'compatibility.js',
+    'wishlist.js',
+    'recent.js',
+    'gallery.js',
+    'seo.js',
+    'shipping.js',
+    'promo.js',
+    'tax.js',
+    'payment.js',
+    'script.js',
+    'detail.js',
+    'cart.js',
+    'checkout.js',
+    'compare.js',
+    'wishlist-page.js',
+    'data.json',
+    'exchange-rates.json',
+    'promos.json',
+    'tax-rates.json',
+    'manifest.webmanifest',
+    'LOGO.png',
+    'camera-hero.png',
+    'hero-bg.jpg'
+];
+
+// Third-party hosts whose files never change at a given URL
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'cdn-icons-png.flaticon.com'];
+
+// Pages load these before the worker takes control, so fetch them up front
+const CDN_PRECACHE_URLS = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.2/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.5.1/css/all.min.css'
+];
+
+const IMAGE_PATTERN = /\.(png|jpe?g|gif|webp|svg)$/i;
+
+// ==================== LIFECYCLE ====================
+self.addEventListener('install', event => {
+    event.waitUntil(
+        Promise.all([
+            caches.open(SITE_CACHE).then(cache => cache.addAll(PRECACHE_URLS)),
+            // A CDN hiccup shouldn't stop the site itself going offline-ready
+            caches.open(CDN_CACHE)
+                .then(cache => cache.addAll(CDN_PRECACHE_URLS.map(url => new Request(url, { mode: 'cors' }))))
+                .catch(error => console.error('Service worker CDN precache failed:', error))
+        ]).then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== SITE_CACHE && key !== CDN_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ==================== ROUTING ====================
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    
+    if (url.origin !== self.location.origin) {
+        if (CDN_HOSTS.includes(url.hostname)) event.respondWith(cacheFirst(request));
+        return;
+    }
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(request));
+    } else if (url.pathname.endsWith('/data.json') || IMAGE_PATTERN.test(url.pathname)) {
+        event.respondWith(staleWhileRevalidate(event, request));
+    } else {
+        event.respondWith(networkFirst(request));
+    }
+});
+
+// ==================== STRATEGIES ====================
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) await putInCache(SITE_CACHE, getCacheKey(request), response.clone());
+        return response;
+    } catch (error) {
+        const cached = await matchSite(request);
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// Answers from the cache straight away and refreshes it in the background
+async function staleWhileRevalidate(event, request) {
+    const cached = await matchSite(request);
+    
+    const update = fetch(request)
+        .then(async response => {
+            if (response.ok) await putInCache(SITE_CACHE, getCacheKey(request), response.clone());
+            return response;
+        });
+    
+    if (cached) {
+        event.waitUntil(update.catch(() => {}));
+        return cached;
+    }
+    return update;
+}
+
+async function cacheFirst(request) {
+    const cache = await caches.open(CDN_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    
+    const response = await fetch(request);
+    // Opaque responses (no CORS headers) can't be checked, but are still worth keeping
+    if (response.ok || response.type === 'opaque') {
+        await putInCache(CDN_CACHE, request, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Pages: network first, then the cached page (ignoring ?id= and friends).
+ * A pre-rendered product page that was never visited falls back to
+ * detail.html?id=, which renders the same product from the cached catalog.
+ */
+async function handleNavigation(request) {
+    try {
+        return await networkFirst(request);
+    } catch (error) {
+        const scope = self.registration.scope;
+        const match = new URL(request.url).pathname.match(/\/products\/(\d+)-[^/]*\.html$/);
+        if (match) return Response.redirect(new URL(`detail.html?id=${match[1]}`, scope).href, 302);
+        
+        const home = await matchSite(new URL('index.html', scope).href);
+        if (home) return home;
+        throw error;
+    }
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+function getCacheKey(request) {
+    const url = new URL(typeof request === 'string' ? request : request.url);
+    return url.origin + url.pathname;
+}
+
+async function matchSite(request) {
+    const cache = await caches.open(SITE_CACHE);
+    return cache.match(getCacheKey(request));
+}
+
+async function putInCache(cacheName, request, response) {
+    try {
+        const cache = await caches.open(cacheName);
+        await cache.put(request, response);
+    } catch (error) {
+        // Quota exceeded or similar; the response was still served
+        console.error('Service worker cache write failed:', error);
+    }
+}
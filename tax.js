@@ -0,0 +1,135 @@
+/**
+ * Sales Tax / VAT Calculator
+ * Rates come from tax-rates.json, keyed by country and, where tax
+ * varies inside a country (US states, Canadian provinces), by region.
+ */
+
+// ==================== CONFIGURATION ====================
+let taxRates = null;
+
+// ==================== LOAD FUNCTIONS ====================
+async function loadTaxRates() {
+    if (taxRates) return taxRates;
+    
+    try {
+        const response = await fetch('tax-rates.json');
+        if (!response.ok) throw new Error('Tax rates not found');
+        taxRates = await response.json();
+    } catch (error) {
+        console.error('Error loading tax rates:', error);
+        taxRates = {};
+    }
+    
+    return taxRates;
+}
+
+// ==================== RULES ====================
+/**
+ * Resolves the tax rule for a destination.
+ * Region may be a code ("CA") or a name ("California").
+ * Returns { label, rate, inclusive, taxShipping, regionName, pending }.
+ */
+function getTaxRule(destination = {}) {
+    const country = (taxRates || {})[(destination.country || '').toUpperCase()];
+    
+    if (!country) {
+        return { label: 'Tax', rate: 0, inclusive: false, taxShipping: false, regionName: null, pending: false };
+    }
+    
+    if (!country.regions) {
+        return {
+            label: country.label,
+            rate: country.rate,
+            inclusive: !!country.inclusive,
+            taxShipping: !!country.taxShipping,
+            regionName: null,
+            pending: false
+        };
+    }
+    
+    const regionCode = resolveTaxRegion(country.regions, destination.region);
+    const region = regionCode ? country.regions[regionCode] : null;
+    
+    return {
+        label: country.label,
+        rate: region ? region.rate : 0,
+        inclusive: !!country.inclusive,
+        taxShipping: region && region.taxShipping !== undefined ? region.taxShipping : !!country.taxShipping,
+        regionName: region ? region.name : null,
+        // Tax can't be worked out until we know which region the order ships to
+        pending: !(destination.region || '').trim()
+    };
+}
+
+function resolveTaxRegion(regions, region) {
+    const value = (region || '').trim().toLowerCase();
+    if (!value) return null;
+    
+    return Object.keys(regions).find(code =>
+        code.toLowerCase() === value || regions[code].name.toLowerCase() === value
+    ) || null;
+}
+
+function getTaxRegions(countryCode) {
+    const country = (taxRates || {})[(countryCode || '').toUpperCase()];
+    return country && country.regions ? country.regions : null;
+}
+
+// ==================== CALCULATION ====================
+/**
+ * Calculates tax on the discounted item total and, where the rule says so,
+ * on shipping. Catalog prices are net; for tax-inclusive regions the
+ * display amounts are grossed up so the shopper sees VAT-inclusive prices
+ * and the tax line is informational rather than added on top.
+ */
+function calculateTax({ subtotal, discount = 0, shipping = 0, destination }) {
+    const rule = getTaxRule(destination);
+    const multiplier = rule.rate / 100;
+    
+    const itemsTax = roundCurrency(Math.max(0, subtotal - discount) * multiplier);
+    const shippingTax = rule.taxShipping ? roundCurrency(shipping * multiplier) : 0;
+    const amount = roundCurrency(itemsTax + shippingTax);
+    
+    const display = {
+        subtotal: getDisplayPrice(subtotal, rule),
+        discount: getDisplayPrice(discount, rule),
+        shipping: rule.inclusive ? roundCurrency(shipping + shippingTax) : shipping
+    };
+    
+    return {
+        label: rule.label,
+        rate: rule.rate,
+        inclusive: rule.inclusive,
+        taxShipping: rule.taxShipping,
+        regionName: rule.regionName,
+        pending: rule.pending,
+        itemsTax: itemsTax,
+        shippingTax: shippingTax,
+        amount: amount,
+        display: display
+    };
+}
+
+// Net catalog amount as the shopper should see it: VAT-inclusive where the region shows prices that way
+function getDisplayPrice(amount, tax) {
+    return tax && tax.inclusive ? roundCurrency(amount * (1 + tax.rate / 100)) : amount;
+}
+
+function formatTaxLabel(tax) {
+    if (tax.pending) return `${tax.label} (enter state/province)`;
+    
+    const where = tax.regionName ? `, ${tax.regionName}` : '';
+    const rate = `${Number(tax.rate.toFixed(3))}%`;
+    return tax.inclusive ? `Includes ${tax.label} (${rate}${where})` : `${tax.label} (${rate}${where})`;
+}
+
+function roundCurrency(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.loadTaxRates = loadTaxRates;
+window.calculateTax = calculateTax;
+window.getTaxRegions = getTaxRegions;
+window.formatTaxLabel = formatTaxLabel;
+window.getDisplayPrice = getDisplayPrice;
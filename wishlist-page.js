@@ -0,0 +1,223 @@
+/**
+ * Wishlist Page Script - Saved Items with Current Prices
+ */
+
+// ==================== GLOBAL VARIABLES ====================
+let catalog = [];
+
+// ==================== INITIALIZATION ====================
+document.addEventListener('DOMContentLoaded', async function() {
+    try {
+        // Load exchange rates, then navbar and footer
+        await loadExchangeRates();
+        await Promise.all([loadNavbar(), loadFooter()]);
+        
+        catalog = await loadCatalog();
+        renderWishlist();
+        
+        // Hearts, "save for later" in another tab and currency changes all re-render
+        window.addEventListener('wishlistchange', renderWishlist);
+        window.addEventListener('storage', e => {
+            if (e.key === 'wishlist') renderWishlist();
+        });
+        window.addEventListener('currencychange', renderWishlist);
+        setupEventListeners();
+        
+        console.log('Wishlist page initialized');
+    } catch (error) {
+        console.error('Wishlist page initialization error:', error);
+        showError('Failed to load your wishlist. Please refresh the page.');
+    }
+});
+
+// ==================== LOAD FUNCTIONS ====================
+async function loadNavbar() {
+    try {
+        const response = await fetch('navbar.html');
+        if (!response.ok) throw new Error('Navbar not found');
+        const html = await response.text();
+        document.getElementById('navbar').innerHTML = html;
+        updateCartCount();
+        setupCurrencySelector();
+        setupSearchSuggestions();
+        setupWishlist();
+    } catch (error) {
+        console.error('Error loading navbar:', error);
+    }
+}
+
+async function loadFooter() {
+    try {
+        const response = await fetch('footer.html');
+        if (!response.ok) throw new Error('Footer not found');
+        const html = await response.text();
+        document.getElementById('footer').innerHTML = html;
+    } catch (error) {
+        console.error('Error loading footer:', error);
+    }
+}
+
+async function loadCatalog() {
+    const response = await fetch('data.json');
+    if (!response.ok) throw new Error('Products data not found');
+    return response.json();
+}
+
+// ==================== RENDERING ====================
+function renderWishlist() {
+    const container = document.getElementById('wishlistItems');
+    const emptyState = document.getElementById('wishlistEmpty');
+    const items = getWishlistItems();
+    
+    document.getElementById('wishlistItemCount').textContent = items.length;
+    document.getElementById('clearWishlistBtn').classList.toggle('d-none', items.length === 0);
+    
+    if (items.length === 0) {
+        container.innerHTML = '';
+        emptyState.classList.remove('d-none');
+        return;
+    }
+    
+    emptyState.classList.add('d-none');
+    container.innerHTML = items.map(item => {
+        const product = catalog.find(p => p.id === item.id);
+        return product ? createWishlistCard(product) : createUnavailableCard(item);
+    }).join('');
+}
+
+function createWishlistCard(product) {
+    return `
+        <div class="col-sm-6 col-lg-4 col-xl-3">
+            <div class="card product-card h-100 shadow-sm border-0">
+                <a href="detail.html?id=${product.id}">
+                    <img src="${product.images[0]}"
+                         class="card-img-top"
+                         alt="${escapeHTML(product.name)}"
+                         loading="lazy"
+                         height="200">
+                </a>
+                
+                <div class="card-body d-flex flex-column">
+                    <span class="badge bg-dark align-self-start">${escapeHTML(product.brand)}</span>
+                    <h5 class="card-title mt-2">
+                        <a href="detail.html?id=${product.id}" class="text-reset text-decoration-none">${escapeHTML(product.name)}</a>
+                    </h5>
+                    <p class="card-text text-muted small flex-grow-1">${escapeHTML(product.summary)}</p>
+                    <strong class="price fs-5 mb-3">${formatPrice(product.price, { wholeUnits: true })}</strong>
+                    
+                    <div class="d-flex gap-2">
+                        <button type="button" class="btn btn-warning btn-sm flex-grow-1 move-to-cart-btn"
+                                data-id="${product.id}">
+                            <i class="fas fa-cart-plus me-1"></i> Move to Cart
+                        </button>
+                        <button type="button" class="btn btn-outline-danger btn-sm remove-wishlist-btn"
+                                data-id="${product.id}"
+                                aria-label="Remove ${escapeHTML(product.name)} from wishlist">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// Saved products that have since left the catalog
+function createUnavailableCard(item) {
+    return `
+        <div class="col-sm-6 col-lg-4 col-xl-3">
+            <div class="card product-card h-100 shadow-sm border-0 opacity-75">
+                <img src="${item.image}"
+                     class="card-img-top"
+                     alt="${escapeHTML(item.name)}"
+                     loading="lazy"
+                     height="200">
+                
+                <div class="card-body d-flex flex-column">
+                    <h5 class="card-title">${escapeHTML(item.name)}</h5>
+                    <p class="card-text text-muted small flex-grow-1">This product is no longer available.</p>
+                    <button type="button" class="btn btn-outline-danger btn-sm remove-wishlist-btn"
+                            data-id="${item.id}"
+                            aria-label="Remove ${escapeHTML(item.name)} from wishlist">
+                        <i class="fas fa-trash me-1"></i> Remove
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+// ==================== EVENT HANDLERS ====================
+function setupEventListeners() {
+    document.addEventListener('click', function(e) {
+        const moveButton = e.target.closest('.move-to-cart-btn');
+        if (moveButton) {
+            moveToCart(parseInt(moveButton.getAttribute('data-id')));
+            return;
+        }
+        
+        const removeButton = e.target.closest('.remove-wishlist-btn');
+        if (removeButton) {
+            removeFromWishlist(parseInt(removeButton.getAttribute('data-id')));
+            return;
+        }
+        
+        if (e.target.closest('#clearWishlistBtn')) clearWishlist();
+    });
+}
+
+// ==================== CART FUNCTION ====================
+function moveToCart(productId) {
+    const product = catalog.find(p => p.id === productId);
+    if (!product) return;
+    
+    try {
+        const result = moveWishlistItemToCart(product);
+        showToast(escapeHTML(result.message), result.moved ? 'success' : 'warning');
+    } catch (error) {
+        console.error('Error moving item to cart:', error);
+        showToast('Failed to move item to cart', 'danger');
+    }
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+function escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+}
+
+function showToast(message, type = 'info') {
+    document.querySelectorAll('.cart-toast').forEach(toast => toast.remove());
+    
+    const toast = document.createElement('div');
+    toast.className = `cart-toast position-fixed bottom-0 end-0 m-3 alert alert-${type} alert-dismissible fade show`;
+    toast.style.zIndex = '1050';
+    toast.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    
+    document.body.appendChild(toast);
+    
+    setTimeout(() => {
+        toast.remove();
+    }, 3000);
+}
+
+function showError(message) {
+    const errorDiv = document.createElement('div');
+    errorDiv.className = 'alert alert-danger m-3';
+    errorDiv.innerHTML = `
+        <i class="fas fa-exclamation-triangle me-2"></i>
+        ${message}
+        <button class="btn btn-sm btn-outline-light ms-3" onclick="location.reload()">
+            Retry
+        </button>
+    `;
+    
+    const container = document.querySelector('.container');
+    if (container) {
+        container.prepend(errorDiv);
+    }
+}
@@ -0,0 +1,169 @@
+/**
+ * Wishlist
+ * Heart toggles on product cards and the detail page, "save for later"
+ * from the cart and the navbar #wishlistCount badge. Saved items live in
+ * localStorage; wishlist-page.js renders them with current catalog prices.
+ */
+
+// ==================== CONFIGURATION ====================
+const WISHLIST_STORAGE_KEY = 'wishlist';
+
+// ==================== STORAGE ====================
+// Entries are { id, name, image, addedAt }; prices always come from data.json
+function getWishlistItems() {
+    try {
+        const items = JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY)) || [];
+        return Array.isArray(items) ? items.filter(item => item && item.id !== undefined) : [];
+    } catch (error) {
+        console.error('Error parsing wishlist:', error);
+        return [];
+    }
+}
+
+function saveWishlistItems(items) {
+    localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(items));
+    window.dispatchEvent(new CustomEvent('wishlistchange', { detail: { items } }));
+}
+
+function isInWishlist(productId) {
+    return getWishlistItems().some(item => item.id === productId);
+}
+
+// Accepts catalog products and cart lines alike; returns false if it was already saved
+function addToWishlist(product) {
+    const items = getWishlistItems();
+    if (items.some(item => item.id === product.id)) return false;
+    
+    items.unshift({
+        id: product.id,
+        name: product.name,
+        image: product.image || product.images[0],
+        addedAt: new Date().toISOString()
+    });
+    saveWishlistItems(items);
+    return true;
+}
+
+function removeFromWishlist(productId) {
+    saveWishlistItems(getWishlistItems().filter(item => item.id !== productId));
+}
+
+// Returns true when the product ends up saved
+function toggleWishlist(product) {
+    if (isInWishlist(product.id)) {
+        removeFromWishlist(product.id);
+        return false;
+    }
+    
+    return addToWishlist(product);
+}
+
+/**
+ * "Move to cart" from the wishlist page and the cart's saved list. A product
+ * already in the cart keeps its quantity; otherwise one unit is added. It
+ * leaves the wishlist unless the cart refused it (discontinued or at its
+ * limit). Returns { moved, message }; the message is plain text.
+ */
+function moveWishlistItemToCart(product) {
+    const inCart = cartStore.getItems().some(item => item.id === product.id);
+    
+    if (!inCart) {
+        const result = cartStore.add(product, MIN_CART_QUANTITY);
+        if (!result.added) return { moved: false, message: describeCartLimit(product, result.limit) };
+    }
+    
+    removeFromWishlist(product.id);
+    return { moved: true, message: `Moved ${product.name} to your cart` };
+}
+
+function clearWishlist() {
+    saveWishlistItems([]);
+}
+
+// ==================== SETUP ====================
+/**
+ * Call after the navbar is injected. Heart buttons anywhere on the page
+ * only need data-wishlist-id, data-wishlist-name and data-wishlist-image.
+ */
+function setupWishlist() {
+    refreshWishlistUI();
+    
+    if (setupWishlist.bound) return;
+    setupWishlist.bound = true;
+    
+    document.addEventListener('click', function(e) {
+        const button = e.target.closest('[data-wishlist-id]');
+        if (!button) return;
+        
+        e.preventDefault();
+        toggleWishlist({
+            id: parseInt(button.getAttribute('data-wishlist-id')),
+            name: button.getAttribute('data-wishlist-name'),
+            image: button.getAttribute('data-wishlist-image')
+        });
+    });
+    
+    window.addEventListener('wishlistchange', refreshWishlistUI);
+    
+    // Keep other open tabs in step
+    window.addEventListener('storage', e => {
+        if (e.key === WISHLIST_STORAGE_KEY) refreshWishlistUI();
+    });
+}
+
+function refreshWishlistUI() {
+    updateWishlistCount();
+    syncWishlistButtons();
+}
+
+function updateWishlistCount() {
+    const count = getWishlistItems().length;
+    
+    document.querySelectorAll('#wishlistCount').forEach(badge => {
+        badge.textContent = count;
+    });
+}
+
+// ==================== RENDERING ====================
+// Markup for a heart toggle; pages drop it into their cards and detail view
+function renderWishlistButton(product, className = 'btn btn-outline-light btn-sm') {
+    const active = isInWishlist(product.id);
+    const name = product.name.replace(/"/g, '&quot;');
+    
+    return `
+        <button type="button" class="${className} wishlist-toggle ${active ? 'active' : ''}"
+                data-wishlist-id="${product.id}"
+                data-wishlist-name="${name}"
+                data-wishlist-image="${product.images[0].replace(/"/g, '&quot;')}"
+                aria-pressed="${active}"
+                aria-label="Save ${name} to wishlist">
+            <i class="${active ? 'fa-solid' : 'fa-regular'} fa-heart"></i>
+        </button>
+    `;
+}
+
+function syncWishlistButtons() {
+    const ids = getWishlistItems().map(item => item.id);
+    
+    document.querySelectorAll('[data-wishlist-id]').forEach(button => {
+        const active = ids.includes(parseInt(button.getAttribute('data-wishlist-id')));
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', active);
+        
+        const icon = button.querySelector('.fa-heart');
+        if (icon) {
+            icon.classList.toggle('fa-solid', active);
+            icon.classList.toggle('fa-regular', !active);
+        }
+    });
+}
+
+// ==================== GLOBAL FUNCTIONS ====================
+window.setupWishlist = setupWishlist;
+window.getWishlistItems = getWishlistItems;
+window.addToWishlist = addToWishlist;
+window.removeFromWishlist = removeFromWishlist;
+window.clearWishlist = clearWishlist;
+window.moveWishlistItemToCart = moveWishlistItemToCart;
+window.renderWishlistButton = renderWishlistButton;
+window.syncWishlistButtons = syncWishlistButtons;